@@ -1,21 +1,85 @@
 import plugin from '../plugin.json';
 import Manager from './manager.js';
+import TreeDocument from './document.js';
+import Highlighter from './highlighter.js';
+import FoldingProvider from './folding.js';
+import DiagnosticsProvider from './diagnostics.js';
+import IndentProvider from './indents.js';
+import { collectSymbols, nestSymbols, getNodeScope } from './symbols.js';
+import LocalScopes from './scopes.js';
+import LanguageDetector from './detector.js';
+import Injector from './injections.js';
+import { registerSourceType } from './sources.js';
+import { toRange } from './ranges.js';
+import { DependencyCycleError, parseInherits } from './dependencies.js';
+import ParseWorker from './worker-client.js';
+import Query from './query.js';
+import { templateToQuery, findMatches, validateReplacement } from './structural.js';
+import { collectTextObjects, getEnclosingObject, getNextObject, getAdjacentObject } from './textobjects.js';
+import {
+  CONFIG_VERSION,
+  DEFAULT_CONFIG,
+  ConfigError,
+  parseKey,
+  validateConfig,
+  migrateConfig,
+  getPath,
+  setPath,
+  mergeConfig,
+  clone
+} from './config.js';
 import { Parser } from 'web-tree-sitter';
 import EventEmitter from 'eventemitter3';
 
 const fs = acode.require('fs');
 const Url = acode.require('url');
 
+/**
+ * Editor features of a language without `features` in config.json
+ */
+const DEFAULT_FEATURES = {
+  highlighting: false,
+  folding: false,
+  diagnostics: false,
+  indentation: false
+};
+
+/**
+ * Milliseconds between a language being used and the next budget check
+ */
+const TRIM_DELAY = 1000;
+
 class TreeSitterAPI extends EventEmitter {
   #parser = {};
   #initialized = false;
   #initPromise = null;
   #languages = new Map();
   #config = {};
+  #documents = new Map();
+  #highlighters = new Map();
+  #foldingProviders = new Map();
+  #diagnosticsProviders = new Map();
+  #indentProviders = new Map();
+  #localScopes = new WeakMap();
+  #definitions = new WeakMap();
+  #worker = null;
+  #workerUrl = null;
+  #languageUsage = new Map();
+  #trimTimer = null;
+  #detector = new LanguageDetector();
+  #injector = new Injector({
+    findLanguage: name => this.#detector.findByName(name),
+    loadLanguage: lang => this.#loadInjectedLanguage(lang)
+  });
+  #onRemoveFile = file => this.detach(file);
 
   constructor() {
     super();
     this.#initPromise = this.#initialize();
+
+    // Keep language detection in sync with installed packages
+    this.on('language-installed', lang => this.#detector.add(lang));
+    this.on('language-uninstalled', lang => this.#detector.remove(lang));
   }
 
   /**
@@ -33,6 +97,7 @@ class TreeSitterAPI extends EventEmitter {
         locateFile: () => wasmUrl
       });
       this.#config = await this.#loadConfig();
+      await this.#detector.refresh();
       this.#initialized = true;
       this.emit('initialized');
       return true;
@@ -67,6 +132,14 @@ class TreeSitterAPI extends EventEmitter {
     return this.#parser;
   }
 
+  /**
+   * Get documents attached to editor files
+   * @returns {Map<string, TreeDocument>} Documents keyed by file id
+   */
+  get documents() {
+    return this.#documents;
+  }
+
   /**
    * Check if TreeSitter is initialized
    * @returns {boolean} true if initialized
@@ -76,13 +149,62 @@ class TreeSitterAPI extends EventEmitter {
   }
 
   /**
-   * Get current configuration
+   * Get current configuration, as stored in config.json. Change it with `setConfig()`.
    * @returns {Object} Configuration object
    */
   get config() {
     return this.#config;
   }
 
+  /**
+   * Get a config value, or the default of the key when it is not set
+   * @param {string|string[]} key - Dotted path, e.g. `memory.maxTrees`, or path segments
+   * for names containing dots. The whole configuration if omitted.
+   * @returns {*} Copy of the value, undefined if not set and without default
+   * @throws {ConfigError} If the key is not in the schema
+   */
+  getConfig(key) {
+    const config = mergeConfig(DEFAULT_CONFIG, this.#config);
+    return clone(key === undefined ? config : getPath(config, parseKey(key)));
+  }
+
+  /**
+   * Set a config value, save config.json and emit `config-changed`.
+   * Changed `features` are applied to the open files of their language.
+   * @param {string|string[]} key - Dotted path, e.g. `memory.maxTrees`, or path segments
+   * for names containing dots (e.g. `['detection', 'overrides', '*.conf']`)
+   * @param {*} value - Value, undefined to remove the key
+   * @returns {Promise<*>} Value of the key after the change, including defaults
+   * @throws {ConfigError} If the key or the value does not match the schema
+   */
+  async setConfig(key, value) {
+    await this.waitForInit();
+
+    const path = parseKey(key);
+    if (path[0] === 'version') throw new ConfigError('is set by the plugin', { path, value });
+
+    const config = setPath(this.#config, path, clone(value));
+    validateConfig(path[0], config[path[0]]);
+    await this.#changeConfig(config, path);
+    return this.getConfig(path);
+  }
+
+  /**
+   * Reset a config key, or the whole configuration, to the defaults
+   * @param {string|string[]} key - Dotted path or path segments, everything if omitted
+   * @returns {Promise<void>}
+   * @throws {ConfigError} If the key is not in the schema
+   */
+  async resetConfig(key) {
+    await this.waitForInit();
+
+    if (key !== undefined) {
+      await this.setConfig(key, undefined);
+      return;
+    }
+    await this.#changeConfig({ version: CONFIG_VERSION }, []);
+  }
+
   /**
    * Wait for TreeSitter to initialize
    * @returns {Promise<boolean>} Resolves when initialization is complete
@@ -92,16 +214,18 @@ class TreeSitterAPI extends EventEmitter {
   }
 
   /**
-   * Load configuration from storage
+   * Load configuration from storage, migrating files of older versions
    * @returns {Promise<Object>} Loaded configuration
    * @private
    */
   async #loadConfig() {
     try {
-      if (await fs(this.CONFIG_PATH).exists()) {
-        this.#config = await fs(this.CONFIG_PATH).readFile('json');
-      }
-      return this.#config;
+      if (!(await fs(this.CONFIG_PATH).exists())) return { version: CONFIG_VERSION };
+
+      const { config, changed } = migrateConfig(await fs(this.CONFIG_PATH).readFile('json'));
+      this.#config = config;
+      if (changed) await this.#saveConfig();
+      return config;
     } catch (error) {
       console.error('Failed to load config:', error);
       return {};
@@ -127,7 +251,44 @@ class TreeSitterAPI extends EventEmitter {
   }
 
   /**
-   * Get a TreeSitter language by identifier
+   * Replace the configuration, save it, apply the changed features and emit `config-changed`
+   * @param {Object} config - New configuration
+   * @param {string[]} path - Path of the changed key, empty when everything changed
+   * @returns {Promise<void>}
+   * @throws {ConfigError} If config.json cannot be saved, the configuration is then left unchanged
+   * @private
+   */
+  async #changeConfig(config, path) {
+    const previousConfig = this.#config;
+    const previous = this.getConfig(path.length ? path : undefined);
+    const previousFeatures = this.#config.features || {};
+    this.#config = config;
+    if (!(await this.#saveConfig())) {
+      this.#config = previousConfig;
+      throw new ConfigError('cannot be saved to config.json', { path, value: getPath(config, path) });
+    }
+
+    // Features are applied per language, to the languages whose entry changed
+    const features = config.features || {};
+    const langs = [...new Set([...Object.keys(previousFeatures), ...Object.keys(features)])].filter(
+      lang => JSON.stringify(previousFeatures[lang]) !== JSON.stringify(features[lang])
+    );
+    for (const lang of langs) {
+      const files = editorManager.files.filter(file => file.session && this.#detectFileLanguage(file) === lang);
+      await Promise.all(files.map(file => this.applyLanguageFeatures(file)));
+      this.emit('features-changed', { lang, features: this.getLanguageFeatures(lang) });
+    }
+
+    // Apply a new memory budget
+    if (path[0] === 'memory' || !path.length) this.trimMemory();
+
+    const key = path.length ? path.join('.') : null;
+    this.emit('config-changed', { key, path, value: this.getConfig(key === null ? undefined : path), previous });
+  }
+
+  /**
+   * Get a TreeSitter language by identifier.
+   * Grammars other than the main one of a package are addressed as `package:grammar` (e.g. `typescript:tsx`)
    * @param {string} lang - Language identifier
    * @param {Object} options - Optional parameters
    * @param {boolean} options.forceReload - Force reload language even if cached
@@ -138,6 +299,12 @@ class TreeSitterAPI extends EventEmitter {
 
     if (!lang) throw new Error('Language identifier is required');
 
+    const [pkg, grammar] = lang.split(':');
+    if (grammar) {
+      const language = await this.getLanguage(pkg, options);
+      return language?.extensions?.[grammar] || null;
+    }
+
     // Return cached language unless force reload is requested
     if (!options.forceReload && this.#languages.has(lang)) {
       return this.#languages.get(lang);
@@ -148,6 +315,8 @@ class TreeSitterAPI extends EventEmitter {
       if (!language) {
         return null;
       }
+      await this.#addUserQueries(lang, language);
+      await this.#resolveInherits(lang, language);
 
       // Cache the language
       this.#languages.set(lang, language);
@@ -159,6 +328,111 @@ class TreeSitterAPI extends EventEmitter {
     }
   }
 
+  /**
+   * Add the query files set for a language in `queries` of config.json to the grammars
+   * of its package, for the queries they do not ship
+   * @param {string} lang - Language identifier
+   * @param {Language} language - Language to add the queries to
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #addUserQueries(lang, language) {
+    const paths = this.#config.queries?.[lang] || {};
+    const grammars = [language, ...Object.values(language.extensions || {})];
+
+    await Promise.all(
+      Object.entries(paths).map(async ([queryName, path]) => {
+        const file = `${queryName}.scm`;
+        const missing = grammars.filter(grammar => grammar.queries[file] === undefined);
+        if (!missing.length) return;
+
+        // Relative paths are in the tree-sitter folder
+        const url = /^[\w+.-]+:/.test(path) ? path : Url.join(this.TREE_SITTER_PATH, path);
+        try {
+          const source = await fs(url).readFile('utf-8');
+          for (const grammar of missing) grammar.queries[file] = source;
+        } catch (error) {
+          console.warn(`Cannot read ${file} of ${lang} from ${path}:`, error.message);
+        }
+      })
+    );
+  }
+
+  /**
+   * Prepend the queries that the query files of a package's grammars inherit with `; inherits:` modelines.
+   * A query inheriting from itself, directly or not, is kept as is and reported with an `error` event.
+   * @param {string} lang - Language identifier
+   * @param {Language} language - Language of the package
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #resolveInherits(lang, language) {
+    const packages = new Map([[lang, language]]);
+    const grammars = [
+      [lang, language],
+      ...Object.entries(language.extensions || {}).map(([name, grammar]) => [`${lang}:${name}`, grammar])
+    ];
+
+    // Merge everything before replacing, the package's own files may be inherited by its other grammars
+    const merged = [];
+    for (const [id, grammar] of grammars) {
+      for (const [file, source] of Object.entries(grammar.queries)) {
+        if (!parseInherits(source).length) continue;
+        try {
+          merged.push([grammar, file, await this.#mergeInherited(id, file, source, [id], packages)]);
+        } catch (error) {
+          console.error(`Cannot resolve the inherited queries of ${file} of ${id}:`, error.message);
+          this.emit('error', error);
+        }
+      }
+    }
+    for (const [grammar, file, source] of merged) grammar.queries[file] = source;
+  }
+
+  /**
+   * Concatenate the query files inherited by a query file, recursively, before it
+   * @param {string} lang - Language of the query file
+   * @param {string} file - Query file name, e.g. `highlights.scm`
+   * @param {string} source - Query source
+   * @param {string[]} chain - Languages from the query being loaded to this one
+   * @param {Map<string, Language|null>} packages - Languages loaded for the inherited queries, by package
+   * @returns {Promise<string>} Merged source
+   * @throws {DependencyCycleError} If a query inherits from itself
+   * @private
+   */
+  async #mergeInherited(lang, file, source, chain, packages) {
+    const sources = [];
+    for (const { name, optional } of parseInherits(source)) {
+      // Optional languages are only inherited by the query being loaded
+      if (optional && chain.length > 1) continue;
+
+      const base = this.#detector.findByName(name) || name;
+      if (chain.includes(base)) throw new DependencyCycleError([...chain, base]);
+
+      const [pkg, grammarName] = base.split(':');
+      if (!packages.has(pkg)) {
+        const language = (await Manager.getLanguage(pkg)) || null;
+        if (language) await this.#addUserQueries(pkg, language);
+        packages.set(pkg, language);
+      }
+
+      const language = packages.get(pkg);
+      if (!language) {
+        console.warn(`${file} of ${lang} inherits ${name}, which is not installed`);
+        continue;
+      }
+      const baseSource = (grammarName ? language.extensions?.[grammarName] : language)?.queries[file];
+      if (baseSource === undefined) {
+        console.warn(`${file} of ${lang} inherits ${name}, which has no ${file}`);
+        continue;
+      }
+      sources.push(await this.#mergeInherited(base, file, baseSource, [...chain, base], packages));
+    }
+
+    sources.push(source);
+    return sources.join('\n\n');
+  }
+
   /**
    * Create a new TreeSitter parser for a specific language
    * @param {string} lang - Language identifier
@@ -182,26 +456,33 @@ class TreeSitterAPI extends EventEmitter {
 
     const parser = new Parser();
     await parser.setLanguage(language.grammar);
+    this.#touchLanguage(lang);
 
     return parser;
   }
 
   /**
-   * Parse code with the specified language
+   * Parse code with the specified language, in this thread or in the parse worker
+   * depending on `parsing.mode` in config.json
    * @param {string} code - Code to parse
    * @param {string} lang - Language identifier
    * @param {Object} options - Optional parameters
    * @param {boolean} options.forceReload - Force reload parser even if cached
-   * @returns {Promise<Object>} Syntax tree
+   * @param {string} options.mode - `thread` or `worker`, overrides the configured mode
+   * @returns {Promise<Tree|RemoteTree>} Syntax tree, or a tree held by the worker in worker mode
    */
   async parse(lang, code, options = {}) {
     await this.waitForInit();
 
     try {
-      if (!options.forceReload && this.#parser[lang]) return this.#parser[lang].parse(code);
+      if ((options.mode || this.parsingMode) === 'worker') {
+        const worker = await this.getWorker();
+        if (options.forceReload) worker.unloadLanguage(lang);
+        await this.#loadWorkerLanguage(worker, lang);
+        return await worker.parse(lang, code);
+      }
 
-      const parser = await this.createParser(lang);
-      this.#parser[lang] = parser;
+      const parser = await this.#getParser(lang, options.forceReload);
       return parser.parse(code);
     } catch (error) {
       console.error(`Parse error with language ${lang}:`, error);
@@ -211,72 +492,1577 @@ class TreeSitterAPI extends EventEmitter {
   }
 
   /**
-   * Get list of available languages
-   * @returns {Promise<string[]>} Array of language identifiers
+   * Get the configured parsing mode
+   * @returns {string} `worker` when `parsing.mode` is set to it in config.json, `thread` otherwise
    */
-  async getAvailableLanguages() {
-    return await Manager.getAvailableLanguages();
+  get parsingMode() {
+    return this.#config.parsing?.mode === 'worker' ? 'worker' : 'thread';
   }
 
   /**
-   * Check if a language is available
+   * Get the parse worker, starting it on first use
+   * @returns {Promise<ParseWorker>} Parse worker
+   */
+  async getWorker() {
+    await this.waitForInit();
+    if (this.#worker) return this.#worker;
+
+    // Workers need a same-origin script, so the bundled one is loaded from a blob
+    const pluginUrl = Url.join(PLUGIN_DIR, plugin.id);
+    const script = await fs(Url.join(pluginUrl, 'worker.js')).readFile('utf-8');
+    const wasmUrl = await acode.toInternalUrl(Url.join(pluginUrl, 'tree-sitter.wasm'));
+    // Started by a concurrent call meanwhile
+    if (this.#worker) return this.#worker;
+
+    this.#workerUrl = URL.createObjectURL(new Blob([script], { type: 'text/javascript' }));
+    this.#worker = new ParseWorker(this.#workerUrl, wasmUrl);
+    return this.#worker;
+  }
+
+  /**
+   * Stop the parse worker and free its script URL.
+   * Attached documents parsing in it parse in this thread from then on.
+   * @private
+   */
+  #terminateWorker() {
+    this.#worker?.terminate();
+    this.#worker = null;
+    if (this.#workerUrl) URL.revokeObjectURL(this.#workerUrl);
+    this.#workerUrl = null;
+  }
+
+  /**
+   * Load the grammar of a language in the parse worker
+   * @param {ParseWorker} worker - Parse worker
    * @param {string} lang - Language identifier
-   * @returns {Promise<boolean>} True if language is available
+   * @private
    */
-  async isLanguageAvailable(lang) {
-    return await Manager.isLanguageAvailable(lang);
+  async #loadWorkerLanguage(worker, lang) {
+    const language = await this.getLanguage(lang);
+    if (!language?.wasmUrl) throw new Error(`Cannot parse in worker: Language ${lang} not available`);
+
+    await worker.loadLanguage(lang, await acode.toInternalUrl(language.wasmUrl));
   }
 
   /**
-   * Install a language
+   * Get the cached parser for a language, creating it if needed
    * @param {string} lang - Language identifier
-   * @returns {Promise<boolean>} Installed language
+   * @param {boolean} forceReload - Recreate the parser even if cached
+   * @returns {Promise<Parser>} Parser instance
+   * @private
    */
-  async installLanguage(lang) {
+  async #getParser(lang, forceReload = false) {
+    if (!forceReload && this.#parser[lang]) {
+      this.#touchLanguage(lang);
+      return this.#parser[lang];
+    }
+
+    const parser = await this.createParser(lang, { autoLoadGrammar: true });
+    this.#parser[lang] = parser;
+    return parser;
+  }
+
+  /**
+   * Load the parser and injections query used to parse a language as an injection layer
+   * @param {string} lang - Language identifier
+   * @returns {Promise<{parser: Parser, query: Query|null}>}
+   * @private
+   */
+  async #loadInjectedLanguage(lang) {
+    const parser = await this.#getParser(lang);
+    return { parser, query: await this.#getOptionalQuery(lang, 'injections') };
+  }
+
+  /**
+   * Get a compiled query of a language whose features are optional,
+   * logging instead of throwing when the query is invalid
+   * @param {string} lang - Language identifier
+   * @param {string} queryName - Query name (e.g. 'folds')
+   * @returns {Promise<Query|null>} Compiled query, or null if missing or invalid
+   * @private
+   */
+  async #getOptionalQuery(lang, queryName) {
+    const language = await this.getLanguage(lang);
+    if (!language) return null;
+
     try {
-      const success = await Manager.installLanguage(lang);
-      if (success) {
-        this.emit('language-installed', lang);
-      }
+      if (!language.isLoaded) await language.loadGrammar();
+      this.#touchLanguage(lang);
+      return language.getCompiledQuery(queryName);
+    } catch (error) {
+      console.warn(`Ignoring ${queryName}.scm of ${lang}:`, error.message);
+      return null;
+    }
+  }
 
-      return true;
+  /**
+   * Attach an editor file to keep a live, incrementally updated syntax tree.
+   * Embedded languages from the language's `injections.scm` are available as layers of the document.
+   * With `parsing.mode` set to `worker` when attaching, the document reparses in the parse worker.
+   * @param {EditorFile} file - Editor file to track
+   * @param {string} lang - Language identifier, detected from the file if omitted
+   * @param {Object} options - Optional parameters
+   * @param {number} options.delay - Milliseconds to wait before reparsing after an edit
+   * @returns {Promise<TreeDocument>} Document bound to the file
+   */
+  async attach(file, lang, options = {}) {
+    await this.waitForInit();
+
+    if (!file?.session) throw new Error('File with an editor session is required');
+
+    lang = lang || this.#detectFileLanguage(file);
+    if (!lang) throw new Error(`Cannot attach ${file.filename}: no installed language matches`);
+
+    const existing = this.#documents.get(file.id);
+    if (existing) {
+      if (existing.lang === lang && existing.session === file.session) return existing;
+      this.detach(file);
+    }
+
+    try {
+      const parser = await this.#getParser(lang);
+      await this.#injector.load(lang);
+
+      const worker = this.parsingMode === 'worker' ? await this.#getDocumentWorker(lang) : null;
+      const document = new TreeDocument(file, lang, parser, { ...options, injector: this.#injector, worker });
+      document.on('tree-changed', event => this.emit('tree-changed', event));
+      document.on('layers-changed', event => this.emit('layers-changed', event));
+
+      if (!this.#documents.size) editorManager.on('remove-file', this.#onRemoveFile);
+      this.#documents.set(file.id, document);
+      this.emit('document-attached', document);
+
+      return document;
     } catch (error) {
+      console.error(`Failed to attach ${file.filename}:`, error);
       this.emit('error', error);
       throw error;
     }
   }
 
   /**
-   * Uninstall a language
+   * Get the parse worker with a language loaded, to reparse an attached document in it
    * @param {string} lang - Language identifier
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<ParseWorker|null>} Parse worker, or null to parse in this thread if it failed
+   * @private
    */
-  async uninstallLanguage(lang) {
+  async #getDocumentWorker(lang) {
     try {
-      // Remove from cache
-      this.#languages.delete(lang);
+      const worker = await this.getWorker();
+      await this.#loadWorkerLanguage(worker, lang);
+      return worker;
+    } catch (error) {
+      console.warn(`Parsing ${lang} in this thread, the parse worker failed:`, error.message);
+      return null;
+    }
+  }
 
-      // Delegate to manager for file removal
-      const success = await Manager.uninstallLanguage(lang);
-      if (success) {
-        this.emit('language-uninstalled', lang);
-      }
+  /**
+   * Detach an editor file and free its syntax tree
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {boolean} True if a document was detached
+   */
+  detach(file) {
+    const id = typeof file === 'string' ? file : file?.id;
+    const document = this.#documents.get(id);
+    if (!document) return false;
 
-      return success;
+    this.#documents.delete(id);
+    if (!this.#documents.size) editorManager.off('remove-file', this.#onRemoveFile);
+
+    this.emit('document-detached', document);
+    document.destroy();
+    return true;
+  }
+
+  /**
+   * Get the document attached to an editor file
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {TreeDocument|null} Attached document
+   */
+  getDocument(file) {
+    const id = typeof file === 'string' ? file : file?.id;
+    return this.#documents.get(id) || null;
+  }
+
+  /**
+   * Highlight an editor file with the language's highlights query.
+   * The stock Ace mode is kept when the grammar or its highlights query is missing.
+   * @param {EditorFile} file - Editor file to highlight
+   * @param {string} lang - Language identifier, detected from the file if omitted
+   * @param {Object} options - Optional parameters
+   * @param {Object} options.captureClasses - Capture name to Ace token class overrides
+   * @returns {Promise<Highlighter|null>} Highlighter, or null if the language cannot highlight
+   */
+  async enableHighlighting(file, lang, options = {}) {
+    await this.waitForInit();
+
+    lang = lang || this.#detectFileLanguage(file);
+    if (!lang) return null;
+
+    const current = this.#highlighters.get(file.id);
+    if (current?.document.lang === lang) return current;
+    current?.destroy();
+
+    const language = await this.getLanguage(lang);
+    if (!language) return null;
+
+    try {
+      if (!language.isLoaded) await language.loadGrammar();
+      const query = language.getCompiledQuery('highlights');
+      if (!query) return null;
+
+      const document = await this.attach(file, lang);
+      const highlighter = new Highlighter(document, query, {
+        captureClasses: { ...this.#config.highlight?.captureClasses, ...options.captureClasses }
+      });
+      highlighter.on('destroy', () => {
+        if (this.#highlighters.get(file.id) === highlighter) this.#highlighters.delete(file.id);
+      });
+
+      this.#highlighters.set(file.id, highlighter);
+      return highlighter;
     } catch (error) {
-      console.error(`Failed to uninstall ${lang}:`, error);
+      console.error(`Failed to highlight ${file.filename} with ${lang}:`, error);
       this.emit('error', error);
-      return false;
+      return null;
     }
   }
 
   /**
-   * Clear languages and parsers
+   * Stop highlighting an editor file and restore its stock Ace mode
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {boolean} True if highlighting was disabled
    */
-  clear() {
-    this.#parser = {};
-    this.#languages.clear();
+  disableHighlighting(file) {
+    const highlighter = this.getHighlighter(file);
+    if (!highlighter) return false;
+
+    highlighter.destroy();
+    return true;
+  }
+
+  /**
+   * Get the highlighter of an editor file
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {Highlighter|null} Highlighter
+   */
+  getHighlighter(file) {
+    const id = typeof file === 'string' ? file : file?.id;
+    return this.#highlighters.get(id) || null;
+  }
+
+  /**
+   * Provide syntax-aware Ace folding for an editor file from the language's folds query,
+   * or from multi-line named nodes when the language has none
+   * @param {EditorFile} file - Editor file
+   * @param {string} lang - Language identifier, detected from the file if omitted
+   * @returns {Promise<FoldingProvider|null>} Folding provider, or null if no installed language matches
+   */
+  async enableFolding(file, lang) {
+    await this.waitForInit();
+
+    lang = lang || this.#detectFileLanguage(file);
+    if (!lang) return null;
+
+    const current = this.#foldingProviders.get(file.id);
+    if (current?.document.lang === lang) return current;
+    current?.destroy();
+
+    try {
+      const document = await this.attach(file, lang);
+      const query = await this.#getOptionalQuery(lang, 'folds');
+
+      const provider = new FoldingProvider(document, query);
+      provider.on('destroy', () => {
+        if (this.#foldingProviders.get(file.id) === provider) this.#foldingProviders.delete(file.id);
+      });
+
+      this.#foldingProviders.set(file.id, provider);
+      return provider;
+    } catch (error) {
+      console.error(`Failed to enable folding for ${file.filename} with ${lang}:`, error);
+      this.emit('error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop syntax-aware folding for an editor file and restore the folding of its Ace mode
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {boolean} True if folding was disabled
+   */
+  disableFolding(file) {
+    const provider = this.getFoldingProvider(file);
+    if (!provider) return false;
+
+    provider.destroy();
+    return true;
+  }
+
+  /**
+   * Get the folding provider of an editor file
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {FoldingProvider|null} Folding provider
+   */
+  getFoldingProvider(file) {
+    const id = typeof file === 'string' ? file : file?.id;
+    return this.#foldingProviders.get(id) || null;
+  }
+
+  /**
+   * Report the parse errors of an editor file as Ace annotations, updated after each reparse
+   * @param {EditorFile} file - Editor file
+   * @param {string} lang - Language identifier, detected from the file if omitted
+   * @returns {Promise<DiagnosticsProvider|null>} Diagnostics provider, or null if no installed language matches
+   */
+  async enableDiagnostics(file, lang) {
+    await this.waitForInit();
+
+    lang = lang || this.#detectFileLanguage(file);
+    if (!lang) return null;
+
+    const current = this.#diagnosticsProviders.get(file.id);
+    if (current?.document.lang === lang) return current;
+    current?.destroy();
+
+    try {
+      const document = await this.attach(file, lang);
+      const provider = new DiagnosticsProvider(document, { delay: this.#config.diagnostics?.delay });
+      provider.on('change', ({ diagnostics }) => this.emit('diagnostics-changed', { file, lang, diagnostics }));
+      provider.on('destroy', () => {
+        if (this.#diagnosticsProviders.get(file.id) === provider) this.#diagnosticsProviders.delete(file.id);
+        this.emit('diagnostics-changed', { file, lang, diagnostics: [] });
+      });
+
+      this.#diagnosticsProviders.set(file.id, provider);
+      provider.update();
+      return provider;
+    } catch (error) {
+      console.error(`Failed to enable diagnostics for ${file.filename} with ${lang}:`, error);
+      this.emit('error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop reporting the parse errors of an editor file and remove its annotations
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {boolean} True if diagnostics were disabled
+   */
+  disableDiagnostics(file) {
+    const provider = this.getDiagnosticsProvider(file);
+    if (!provider) return false;
+
+    provider.destroy();
+    return true;
+  }
+
+  /**
+   * Get the diagnostics provider of an editor file
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {DiagnosticsProvider|null} Diagnostics provider
+   */
+  getDiagnosticsProvider(file) {
+    const id = typeof file === 'string' ? file : file?.id;
+    return this.#diagnosticsProviders.get(id) || null;
+  }
+
+  /**
+   * Get the parse errors of an editor file reported by its diagnostics provider
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {Array<Object>} Diagnostics `{ range, message, severity, lang }`, empty if diagnostics are disabled
+   */
+  getDiagnostics(file) {
+    return this.getDiagnosticsProvider(file)?.diagnostics || [];
+  }
+
+  /**
+   * Indent an editor file from the language's indents.scm when pressing Enter or typing a closing bracket.
+   * Injected languages use their own indents query; rows the queries cannot indent keep the Ace mode's behavior.
+   * @param {EditorFile} file - Editor file
+   * @param {string} lang - Language identifier, detected from the file if omitted
+   * @returns {Promise<IndentProvider|null>} Indent provider, or null if the language has no indents query
+   */
+  async enableIndentation(file, lang) {
+    await this.waitForInit();
+
+    lang = lang || this.#detectFileLanguage(file);
+    if (!lang) return null;
+
+    const current = this.#indentProviders.get(file.id);
+    if (current?.document.lang === lang) return current;
+    current?.destroy();
+
+    try {
+      const query = await this.#getOptionalQuery(lang, 'indents');
+      if (!query) return null;
+
+      const document = await this.attach(file, lang);
+
+      // Queries of injected languages load in the background, their rows keep the Ace behavior meanwhile.
+      // They are retained, so the memory budget freeing a language does not delete them under the provider.
+      const queries = new Map([[lang, query.retain()]]);
+      const loading = new Set();
+      let destroyed = false;
+      const getQuery = id => {
+        if (queries.has(id)) return queries.get(id);
+        if (!loading.has(id)) {
+          loading.add(id);
+          this.#getOptionalQuery(id, 'indents').then(loaded => {
+            loading.delete(id);
+            if (!destroyed) queries.set(id, loaded?.retain() || null);
+          });
+        }
+        return null;
+      };
+
+      const provider = new IndentProvider(document, getQuery);
+      provider.on('destroy', () => {
+        if (this.#indentProviders.get(file.id) === provider) this.#indentProviders.delete(file.id);
+        destroyed = true;
+        for (const retained of queries.values()) retained?.release();
+        queries.clear();
+      });
+
+      this.#indentProviders.set(file.id, provider);
+      return provider;
+    } catch (error) {
+      console.error(`Failed to enable indentation for ${file.filename} with ${lang}:`, error);
+      this.emit('error', error);
+      return null;
+    }
   }
+
+  /**
+   * Stop indenting an editor file from indents.scm and restore the indentation of its Ace mode
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {boolean} True if indentation was disabled
+   */
+  disableIndentation(file) {
+    const provider = this.getIndentProvider(file);
+    if (!provider) return false;
+
+    provider.destroy();
+    return true;
+  }
+
+  /**
+   * Get the indent provider of an editor file
+   * @param {EditorFile|string} file - Editor file or file id
+   * @returns {IndentProvider|null} Indent provider
+   */
+  getIndentProvider(file) {
+    const id = typeof file === 'string' ? file : file?.id;
+    return this.#indentProviders.get(id) || null;
+  }
+
+  /**
+   * Compute the indentation of a row from indents.scm, enabling indentation for the file if needed
+   * @param {EditorFile} file - Editor file
+   * @param {number} row - Document row
+   * @returns {Promise<number|null>} Indentation in columns, or null if the row keeps its indentation
+   * or the language has no indents query
+   */
+  async getLineIndent(file, row) {
+    const provider = this.getIndentProvider(file) || (await this.enableIndentation(file));
+    return provider?.getIndent(row) ?? null;
+  }
+
+  /**
+   * Reindent rows of an editor file from indents.scm as a single undo step,
+   * enabling indentation for the file if needed
+   * @param {EditorFile} file - Editor file
+   * @param {number} startRow - First row
+   * @param {number} endRow - Last row, included
+   * @returns {Promise<number>} Number of rows changed
+   */
+  async reindentLines(file, startRow, endRow = startRow) {
+    const provider = this.getIndentProvider(file) || (await this.enableIndentation(file));
+    if (!provider) return 0;
+
+    try {
+      const session = provider.session;
+      session.markUndoGroup();
+      const changed = provider.reindent(startRow, endRow);
+      session.markUndoGroup();
+      return changed;
+    } catch (error) {
+      console.error(`Failed to reindent ${file.filename}:`, error);
+      this.emit('error', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get the outline of an editor file from the `tags.scm` of its language and of its injected languages
+   * @param {EditorFile} file - Editor file
+   * @param {string} lang - Language identifier, detected from the file if omitted
+   * @returns {Promise<Array<Object>>} Nested symbols `{ name, kind, range, selectionRange, doc, children }`
+   */
+  async getDocumentSymbols(file, lang) {
+    await this.waitForInit();
+
+    try {
+      const document = await this.attach(file, lang);
+
+      // Load the queries first, the trees can be reparsed while waiting
+      const langs = new Set([document.lang, ...flattenLayers(document.layers).map(layer => layer.lang)]);
+      const queries = new Map(
+        await Promise.all([...langs].map(async id => [id, await this.#getOptionalQuery(id, 'tags')]))
+      );
+
+      const symbols = [];
+      for (const { lang: id, tree } of [document, ...flattenLayers(document.layers)]) {
+        const query = queries.get(id);
+        if (query) symbols.push(...collectSymbols(query, tree.rootNode));
+      }
+      return nestSymbols(symbols);
+    } catch (error) {
+      console.error(`Failed to get symbols of ${file.filename}:`, error);
+      this.emit('error', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the named scopes enclosing a position (e.g. namespace › class › method), outermost first.
+   * Scopes are the definitions of the `tags.scm` of each language at the position, or nodes
+   * with a `name` field whose type looks like a function, class, module... when a language has none.
+   * @param {EditorFile} file - Editor file
+   * @param {{row: number, column: number}} position - Document position
+   * @returns {Promise<Array<Object>>} `{ name, kind, lang, range, selectionRange }` scopes
+   */
+  async getScopeChain(file, position) {
+    await this.waitForInit();
+
+    try {
+      const document = await this.attach(file);
+      const getTrees = () => {
+        const trees = [];
+        for (let layer = document.layerAt(position); layer; layer = layer.parent) trees.push(layer);
+        return [...trees, document];
+      };
+
+      const langs = new Set(getTrees().map(({ lang }) => lang));
+      const queries = new Map(
+        await Promise.all([...langs].map(async id => [id, await this.#getOptionalQuery(id, 'tags')]))
+      );
+
+      // The layers may have changed while the queries loaded. Innermost tree first,
+      // its scopes go after the ones of the trees enclosing it.
+      const trees = getTrees();
+
+      const chain = [];
+      for (const { lang, tree } of trees) {
+        const query = queries.get(lang);
+        if (query && !this.#definitions.has(tree)) {
+          const definitions = new Map();
+          for (const symbol of collectSymbols(query, tree.rootNode)) {
+            const key = rangeKey(symbol.range);
+            if (!definitions.has(key)) definitions.set(key, symbol);
+          }
+          this.#definitions.set(tree, definitions);
+        }
+
+        const definitions = query ? this.#definitions.get(tree) : null;
+        const scopes = [];
+        for (let node = tree.rootNode.namedDescendantForPosition(position); node; node = node.parent) {
+          const scope = definitions ? definitions.get(rangeKey(toRange(node))) : getNodeScope(node);
+          if (!scope) continue;
+          const { name, kind, range, selectionRange } = scope;
+          scopes.unshift({ name, kind, lang, range, selectionRange });
+        }
+        chain.unshift(...scopes);
+      }
+      return chain;
+    } catch (error) {
+      console.error(`Failed to get the scopes of ${file.filename}:`, error);
+      this.emit('error', error);
+      return [];
+    }
+  }
+
+  /**
+   * Run a query on the live tree of an editor file without caching it, e.g. a query being written.
+   * Captured nodes are valid until the next reparse.
+   * @param {EditorFile} file - Editor file
+   * @param {string} source - Query source
+   * @param {Object} options - Optional parameters
+   * @param {string} options.lang - Language to query: the document language (default) or an injected one,
+   * whose layers are queried
+   * @param {string} options.name - Query name used in error messages
+   * @returns {Promise<Array<Object>>} `{ name, lang, node, range, patternIndex }` captures in document order
+   * @throws {QueryCompileError} If the query is invalid
+   */
+  async queryDocument(file, source, options = {}) {
+    await this.waitForInit();
+
+    const document = await this.attach(file);
+    const lang = options.lang || document.lang;
+    const language = await this.getLanguage(lang);
+    if (!language) throw new Error(`Language ${lang} is not installed`);
+    if (!language.isLoaded) await language.loadGrammar();
+    this.#touchLanguage(lang);
+
+    const trees =
+      lang === document.lang
+        ? [document.tree]
+        : flattenLayers(document.layers)
+            .filter(layer => layer.lang === lang)
+            .map(layer => layer.tree);
+
+    const query = new Query(language.grammar, source, options.name);
+    try {
+      return trees
+        .flatMap(tree =>
+          query.captures(tree.rootNode).map(({ name, node, patternIndex }) => ({
+            name,
+            lang,
+            node,
+            range: toRange(node),
+            patternIndex
+          }))
+        )
+        .sort((a, b) => a.node.startIndex - b.node.startIndex);
+    } finally {
+      query.delete();
+    }
+  }
+
+  /**
+   * Find the structural matches of a query or code template in a text, or in several texts
+   * with the pattern compiled once
+   * @param {string} lang - Language identifier
+   * @param {string|string[]} text - Text to search, or texts
+   * @param {string} pattern - Query, or code template with `$name` placeholders if `options.template` is set
+   * @param {Object} options - Optional parameters
+   * @param {boolean} options.template - The pattern is a code template
+   * @param {string} options.replacement - Replacement template referencing captures as `$name`
+   * @returns {Promise<Array<Object>>} `{ startIndex, endIndex, range, text, captures, replacement }`
+   * non-overlapping matches in document order, or the matches of each text for several texts
+   * @throws {QueryCompileError} If the query is invalid
+   * @throws {Error} If the template does not parse or the replacement references an unknown capture,
+   * before any text is searched
+   */
+  async structuralSearch(lang, text, pattern, options = {}) {
+    await this.waitForInit();
+
+    const language = await this.getLanguage(lang);
+    if (!language) throw new Error(`Language ${lang} is not installed`);
+    const parser = await this.#getParser(lang);
+
+    const source = options.template ? templateToQuery(parser, pattern) : pattern;
+    const query = new Query(language.grammar, source, options.template ? '<template>' : '<search>');
+    try {
+      if (options.replacement !== undefined) validateReplacement(options.replacement, query.captureNames);
+
+      const results = [];
+      for (const current of [].concat(text)) {
+        const tree = parser.parse(current);
+        try {
+          results.push(findMatches(query, tree.rootNode, current, { replacement: options.replacement }));
+        } finally {
+          tree.delete();
+        }
+      }
+      return Array.isArray(text) ? results : results[0];
+    } finally {
+      query.delete();
+    }
+  }
+
+  /**
+   * Replace structural matches in an editor file as a single undo step.
+   * Matches whose text changed since the search are skipped.
+   * @param {EditorFile} file - Editor file the matches were found in
+   * @param {Array<Object>} matches - Matches from `structuralSearch` with a `replacement`
+   * @returns {number} Number of replaced matches
+   */
+  structuralReplace(file, matches) {
+    const { session } = file;
+    const doc = session.getDocument();
+    const current = matches.filter(({ range, text }) => doc.getTextRange(range) === text);
+
+    session.markUndoGroup();
+    // Last match first, so the ranges of the others stay valid
+    for (const { range, replacement } of [...current].sort((a, b) => b.startIndex - a.startIndex)) {
+      doc.replace(range, replacement);
+    }
+    session.markUndoGroup();
+    return current.length;
+  }
+
+  /**
+   * Get the range of the smallest named node enclosing a selection, descending into injected layers
+   * @param {EditorFile} file - Editor file
+   * @param {{start: Object, end: Object}} range - Selected range
+   * @returns {Promise<{start: Object, end: Object}|null>} Expanded range, or null if the selection
+   * already covers the whole tree
+   */
+  async expandSelection(file, range) {
+    await this.waitForInit();
+
+    try {
+      const document = await this.attach(file);
+      const doc = document.session.getDocument();
+      const start = doc.positionToIndex(range.start);
+      const end = doc.positionToIndex(range.end);
+
+      // Innermost layer holding the whole selection first, then its enclosing trees
+      let layer = document.layerAt(range.start);
+      while (layer && !layer.contains(end)) layer = layer.parent;
+
+      for (;;) {
+        const node = getEnclosingNode((layer || document).tree.rootNode, start, end);
+        if (node) return toRange(node);
+        if (!layer) return null;
+        layer = layer.parent;
+      }
+    } catch (error) {
+      console.error(`Failed to expand selection of ${file.filename}:`, error);
+      this.emit('error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the local definition of the identifier at a position, using the `locals.scm`
+   * of the language at that position
+   * @param {EditorFile} file - Editor file
+   * @param {{row: number, column: number}} position - Document position
+   * @returns {Promise<{name: string, kind: string|null, lang: string, range: Object}|null>}
+   * Definition, or null if the identifier is not defined locally
+   */
+  async findDefinition(file, position) {
+    const locals = await this.#getLocalScopes(file, position);
+    const definition = locals?.scopes.findDefinition(locals.index);
+    if (!definition) return null;
+
+    return { name: definition.name, kind: definition.kind, lang: locals.lang, range: toRange(definition.node) };
+  }
+
+  /**
+   * Find the local definition and all references of the identifier at a position
+   * @param {EditorFile} file - Editor file
+   * @param {{row: number, column: number}} position - Document position
+   * @returns {Promise<Array<{name: string, range: Object, isDefinition: boolean}>>}
+   * Definition first then references in document order, empty if the identifier is not defined locally
+   */
+  async findReferences(file, position) {
+    const locals = await this.#getLocalScopes(file, position);
+    const result = locals?.scopes.findReferences(locals.index);
+    if (!result) return [];
+
+    const { definition, references } = result;
+    return [
+      { name: definition.name, range: toRange(definition.node), isDefinition: true },
+      ...references.map(({ name, node }) => ({ name, range: toRange(node), isDefinition: false }))
+    ];
+  }
+
+  /**
+   * Get the scope tables of the tree at a position, built once per tree
+   * @param {EditorFile} file - Editor file
+   * @param {{row: number, column: number}} position - Document position
+   * @returns {Promise<{scopes: LocalScopes, index: number, lang: string}|null>}
+   * Tables, offset and language, or null if the language has no locals query
+   * @private
+   */
+  async #getLocalScopes(file, position) {
+    await this.waitForInit();
+
+    try {
+      const document = await this.attach(file);
+      const lang = document.languageAt(position);
+      const query = await this.#getOptionalQuery(lang, 'locals');
+      if (!query) return null;
+
+      // The tree may have been reparsed while the query loaded
+      const layer = document.layerAt(position);
+      if ((layer?.lang || document.lang) !== lang) return null;
+
+      const tree = layer?.tree || document.tree;
+      if (!this.#localScopes.has(tree)) this.#localScopes.set(tree, new LocalScopes(query, tree.rootNode));
+
+      const index = document.session.getDocument().positionToIndex(position);
+      return { scopes: this.#localScopes.get(tree), index, lang };
+    } catch (error) {
+      console.error(`Failed to resolve scopes of ${file.filename}:`, error);
+      this.emit('error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Select the smallest text object of the `textobjects.scm` of the language at a range enclosing it.
+   * Selecting a text object again selects the one enclosing it.
+   * @param {EditorFile} file - Editor file
+   * @param {{start: Object, end: Object}} range - Selected range
+   * @param {string} name - Capture name, e.g. 'function.outer' or 'parameter.inner'
+   * @returns {Promise<{start: Object, end: Object}|null>} Range of the text object,
+   * or null if none encloses the range
+   */
+  async selectTextObject(file, range, name) {
+    const textObjects = await this.#getTextObjects(file, range.start, name);
+    if (!textObjects) return null;
+
+    const { objects, doc } = textObjects;
+    const object = getEnclosingObject(objects, doc.positionToIndex(range.start), doc.positionToIndex(range.end));
+    return object?.range || null;
+  }
+
+  /**
+   * Find the next text object starting after a position, or the previous one starting before it
+   * @param {EditorFile} file - Editor file
+   * @param {{row: number, column: number}} position - Document position, usually the cursor
+   * @param {string} name - Capture name, e.g. 'function.outer' or 'class.outer'
+   * @param {string} direction - 'next' or 'previous'
+   * @returns {Promise<{start: Object, end: Object}|null>} Range of the text object, or null if there is none
+   */
+  async gotoTextObject(file, position, name, direction = 'next') {
+    const textObjects = await this.#getTextObjects(file, position, name);
+    if (!textObjects) return null;
+
+    const { objects, doc } = textObjects;
+    return getNextObject(objects, doc.positionToIndex(position), direction)?.range || null;
+  }
+
+  /**
+   * Swap the text object at a position with the next or previous one of the same parent
+   * (e.g. two arguments of a call) as a single undo step
+   * @param {EditorFile} file - Editor file
+   * @param {{row: number, column: number}} position - Document position, usually the cursor
+   * @param {string} name - Capture name (default 'parameter.inner')
+   * @param {string} direction - 'next' or 'previous'
+   * @returns {Promise<{start: Object, end: Object}|null>} New range of the text object at the position,
+   * or null if nothing was swapped
+   */
+  async swapTextObjects(file, position, name = 'parameter.inner', direction = 'next') {
+    const textObjects = await this.#getTextObjects(file, position, name);
+    if (!textObjects) return null;
+
+    try {
+      const { objects, doc } = textObjects;
+      const index = doc.positionToIndex(position);
+      const object = getEnclosingObject(objects, index, index);
+      const other = object && getAdjacentObject(objects, object, direction);
+      if (!other) return null;
+
+      const [first, second] = direction === 'previous' ? [other, object] : [object, other];
+      const value = doc.getValue();
+      const firstText = value.slice(first.startIndex, first.endIndex);
+      const secondText = value.slice(second.startIndex, second.endIndex);
+
+      const session = file.session;
+      session.markUndoGroup();
+      doc.replace(second.range, firstText);
+      doc.replace(first.range, secondText);
+      session.markUndoGroup();
+
+      // The object moved to where the other one was
+      const length = object.endIndex - object.startIndex;
+      const start = direction === 'previous' ? first.startIndex : second.endIndex - length;
+      return { start: doc.indexToPosition(start), end: doc.indexToPosition(start + length) };
+    } catch (error) {
+      console.error(`Failed to swap ${name} in ${file.filename}:`, error);
+      this.emit('error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the text objects of a capture in the tree at a position,
+   * from the `textobjects.scm` of the language at that position
+   * @param {EditorFile} file - Editor file
+   * @param {{row: number, column: number}} position - Document position
+   * @param {string} name - Capture name
+   * @returns {Promise<{objects: Array<Object>, doc: Document, lang: string}|null>}
+   * Text objects, or null if the language has no textobjects query
+   * @private
+   */
+  async #getTextObjects(file, position, name) {
+    await this.waitForInit();
+
+    try {
+      const document = await this.attach(file);
+      const lang = document.languageAt(position);
+      const query = await this.#getOptionalQuery(lang, 'textobjects');
+      if (!query) return null;
+
+      // The tree may have been reparsed while the query loaded
+      const layer = document.layerAt(position);
+      if ((layer?.lang || document.lang) !== lang) return null;
+
+      const root = (layer?.tree || document.tree).rootNode;
+      return { objects: collectTextObjects(query, root, name), doc: document.session.getDocument(), lang };
+    } catch (error) {
+      console.error(`Failed to get the text objects of ${file.filename}:`, error);
+      this.emit('error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Detect the language of a file from installed grammars' file types,
+   * first-line and injection regexes, and the overrides in config.json
+   * @param {string} filename - File name or path
+   * @param {string} content - File content, only the first lines are needed
+   * @returns {Promise<string|null>} Language identifier
+   */
+  async detectLanguage(filename, content = '') {
+    await this.waitForInit();
+    return this.#detector.detect(filename, content, this.#config.detection?.overrides);
+  }
+
+  /**
+   * Find an installed language by name, scope or injection regex (e.g. 'js', 'python3', 'source.ts')
+   * @param {string} name - Language name
+   * @returns {Promise<string|null>} Language identifier
+   */
+  async findLanguageByName(name) {
+    await this.waitForInit();
+    return this.#detector.findByName(name);
+  }
+
+  /**
+   * Get the language of an editor file
+   * @param {EditorFile} file - Editor file
+   * @returns {Promise<Language|null>} Language instance or null if no installed language matches
+   */
+  async getLanguageForEditorFile(file) {
+    await this.waitForInit();
+
+    const lang = this.#detectFileLanguage(file);
+    return lang ? await this.getLanguage(lang) : null;
+  }
+
+  /**
+   * Detect the language identifier of an editor file
+   * @param {EditorFile} file - Editor file
+   * @returns {string|null} Language identifier
+   * @private
+   */
+  #detectFileLanguage(file) {
+    const content = file.session ? file.session.getDocument().getLines(0, 100).join('\n') : '';
+    return this.#detector.detect(file.filename, content, this.#config.detection?.overrides);
+  }
+
+  /**
+   * Get list of available languages
+   * @returns {Promise<string[]>} Array of language identifiers
+   */
+  async getAvailableLanguages() {
+    return await Manager.getAvailableLanguages();
+  }
+
+  /**
+   * Check if a language is available
+   * @param {string} lang - Language identifier
+   * @returns {Promise<boolean>} True if language is available
+   */
+  async isLanguageAvailable(lang) {
+    return await Manager.isLanguageAvailable(lang);
+  }
+
+  /**
+   * Install a language, emitting `install-progress` while files download, then the languages it depends on.
+   * `language-installed` is emitted once they are installed, so that the language loads with their queries.
+   * Loaded languages depending on it are reloaded to inherit its queries.
+   * @param {string} lang - Language identifier
+   * @param {Object} options - Optional parameters
+   * @param {string} options.version - Version or dist-tag to install (default 'latest')
+   * @param {AbortSignal} options.signal - Cancels the install and removes the partial download
+   * @param {boolean} options.dependencies - Install the missing dependencies (default true)
+   * @returns {Promise<boolean>} Installed language
+   */
+  async installLanguage(lang, options = {}) {
+    await this.waitForInit();
+
+    try {
+      const success = await Manager.installLanguage(lang, {
+        ...options,
+        onProgress: progress => this.emit('install-progress', { lang, ...progress })
+      });
+      if (success) {
+        try {
+          if (options.dependencies !== false) await this.#installDependencies(lang, options);
+          await this.#reloadLanguages(await this.#getDependents(lang));
+        } finally {
+          this.emit('language-installed', lang);
+        }
+      }
+
+      return success;
+    } catch (error) {
+      // Cancelling is not an error, the caller gets the abort reason
+      if (!options.signal?.aborted) this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Install the dependencies of an installed language that are missing, and theirs.
+   * A dependency failing to install is reported with an `error` event, the language stays installed.
+   * Languages loaded without an installed dependency are reloaded to inherit its queries.
+   * @param {string} lang - Language identifier
+   * @param {Object} options - Install options, only the signal is used for dependencies
+   * @param {string[]} chain - Languages from the installed one to this one
+   * @returns {Promise<string[]>} Installed dependencies
+   * @private
+   */
+  async #installDependencies(lang, options, chain = [lang]) {
+    const installed = [];
+
+    for (const [dependency, version] of Object.entries(await Manager.getDependencies(lang))) {
+      if (chain.includes(dependency)) {
+        console.warn(new DependencyCycleError([...chain, dependency]).message);
+        continue;
+      }
+      if (await this.isLanguageAvailable(dependency)) continue;
+
+      try {
+        const success = await Manager.installLanguage(dependency, {
+          version,
+          signal: options.signal,
+          onProgress: progress => this.emit('install-progress', { lang: dependency, ...progress })
+        });
+        if (!success) continue;
+
+        installed.push(dependency);
+        try {
+          installed.push(...(await this.#installDependencies(dependency, options, [...chain, dependency])));
+        } finally {
+          await this.#reloadLanguages(await this.#getDependents(dependency));
+          this.emit('language-installed', dependency);
+        }
+      } catch (error) {
+        if (options.signal?.aborted) throw error;
+        console.error(`Failed to install ${dependency}, required by ${lang}:`, error.message);
+        this.emit('error', error);
+      }
+    }
+
+    return installed;
+  }
+
+  /**
+   * Install several languages one after the other
+   * @param {string[]} langs - Language identifiers
+   * @param {Object} options - Options passed to `installLanguage` for each language
+   * @returns {Promise<Array<{lang: string, installed: boolean, error?: Error}>>} Result per language
+   */
+  async installLanguages(langs, options = {}) {
+    const results = [];
+
+    for (const lang of langs) {
+      try {
+        if (await this.isLanguageAvailable(lang)) {
+          results.push({ lang, installed: false });
+          continue;
+        }
+        results.push({ lang, installed: await this.installLanguage(lang, options) });
+      } catch (error) {
+        results.push({ lang, installed: false, error });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Install a language from a package archive on device storage
+   * @param {string} url - URL of a `.tgz`, `.tar.gz`, `.tar` or `.zip` archive
+   * @param {Object} options - Optional parameters
+   * @param {string} options.lang - Language identifier (default from the package name)
+   * @param {boolean} options.replace - Replace the language if it is installed
+   * @param {boolean} options.dependencies - Install the missing dependencies from the registry (default true)
+   * @returns {Promise<string|null>} Installed language identifier, or null if it is already installed
+   */
+  async installFromArchive(url, options = {}) {
+    await this.waitForInit();
+
+    try {
+      return await this.#onLocalInstall(await Manager.installFromArchive(url, options), options);
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Install a language from an unpacked package folder on device storage
+   * @param {string} url - URL of the package folder
+   * @param {Object} options - Optional parameters
+   * @param {string} options.lang - Language identifier (default from the package name)
+   * @param {boolean} options.replace - Replace the language if it is installed
+   * @param {boolean} options.dependencies - Install the missing dependencies from the registry (default true)
+   * @returns {Promise<string|null>} Installed language identifier, or null if it is already installed
+   */
+  async installFromDirectory(url, options = {}) {
+    await this.waitForInit();
+
+    try {
+      return await this.#onLocalInstall(await Manager.installFromDirectory(url, options), options);
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop stale caches of a language installed from device storage and of the languages depending on it,
+   * install its dependencies, then announce it
+   * @param {string|null} lang - Installed language identifier
+   * @param {Object} options - Install options
+   * @returns {Promise<string|null>} The language identifier
+   * @private
+   */
+  async #onLocalInstall(lang, options) {
+    if (!lang) return lang;
+
+    this.#unloadLanguage(lang);
+    try {
+      if (options.dependencies !== false) await this.#installDependencies(lang, options);
+      await this.#reloadLanguages(await this.#getDependents(lang));
+    } finally {
+      this.emit('language-installed', lang);
+    }
+    return lang;
+  }
+
+  /**
+   * Uninstall a language. Files using the editor features of languages depending on it are set up again
+   * without its queries.
+   * @param {string} lang - Language identifier
+   * @returns {Promise<boolean>} Success status
+   */
+  async uninstallLanguage(lang) {
+    try {
+      this.#unloadLanguage(lang);
+
+      // Delegate to manager for file removal
+      const success = await Manager.uninstallLanguage(lang);
+      if (success) {
+        await this.#reloadLanguages(await this.#getDependents(lang));
+        this.emit('language-uninstalled', lang);
+      }
+
+      return success;
+    } catch (error) {
+      console.error(`Failed to uninstall ${lang}:`, error);
+      this.emit('error', error);
+      return false;
+    }
+  }
+
+  /**
+   * Update an installed language. Files using its editor features, or those of languages depending on it,
+   * are detached and set up again with the new version.
+   * @param {string} lang - Language identifier
+   * @param {Object} options - Optional parameters
+   * @param {string} options.version - Version or dist-tag to update to (default 'latest')
+   * @param {AbortSignal} options.signal - Cancels the update, keeping the current version
+   * @param {boolean} options.dependencies - Install the missing dependencies of the new version (default true)
+   * @returns {Promise<boolean>} True if a new version was installed
+   */
+  async updateLanguage(lang, options = {}) {
+    await this.waitForInit();
+
+    try {
+      const result = await Manager.updateLanguage(lang, {
+        ...options,
+        onProgress: progress => this.emit('install-progress', { lang, ...progress })
+      });
+      if (!result) return false;
+      // The new version may depend on other languages, they must be there before it is reloaded
+      if (options.dependencies !== false) await this.#installDependencies(lang, options);
+
+      await this.#reloadLanguages([lang, ...(await this.#getDependents(lang))], async () => {
+        await this.#detector.add(lang);
+        this.emit('language-updated', { lang, ...result });
+      });
+      return true;
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      console.error(`Failed to update ${lang}:`, error);
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the loaded languages that depend on a language, directly or through other languages
+   * @param {string} lang - Language identifier
+   * @returns {Promise<string[]>} Dependent languages
+   * @private
+   */
+  async #getDependents(lang) {
+    const dependents = [];
+    const bases = [lang];
+
+    while (bases.length) {
+      const base = bases.shift();
+      for (const id of [...this.#languages.keys()]) {
+        if (id === lang || dependents.includes(id)) continue;
+        if (!(base in (await Manager.getDependencies(id)))) continue;
+
+        dependents.push(id);
+        bases.push(id);
+      }
+    }
+    return dependents;
+  }
+
+  /**
+   * Unload languages, then set up the editor features of their files again with what is installed now
+   * @param {string[]} langs - Language identifiers
+   * @param {Function} onUnloaded - Called before setting the files up again
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #reloadLanguages(langs, onUnloaded) {
+    if (!langs.length) return;
+
+    const byLanguage = providers =>
+      [...providers.values()]
+        .filter(provider => langs.includes(provider.document.lang.split(':')[0]))
+        .map(provider => [provider.document.file, provider.document.lang]);
+    const highlighted = byLanguage(this.#highlighters);
+    const folded = byLanguage(this.#foldingProviders);
+    const checked = byLanguage(this.#diagnosticsProviders);
+    const indented = byLanguage(this.#indentProviders);
+
+    for (const lang of langs) this.#unloadLanguage(lang);
+    await onUnloaded?.();
+
+    await Promise.all(highlighted.map(([file, id]) => this.enableHighlighting(file, id)));
+    await Promise.all(folded.map(([file, id]) => this.enableFolding(file, id)));
+    await Promise.all(checked.map(([file, id]) => this.enableDiagnostics(file, id)));
+    await Promise.all(indented.map(([file, id]) => this.enableIndentation(file, id)));
+  }
+
+  /**
+   * Update all installed languages that are not pinned
+   * @param {string[]} langs - Languages to update (default all installed)
+   * @returns {Promise<Array<{lang: string, updated: boolean, error?: Error}>>} Result per language
+   */
+  async updateLanguages(langs) {
+    const updates = await this.checkForUpdates(langs);
+    const results = [];
+
+    for (const { lang, pinned, hasUpdate, latest } of updates) {
+      if (pinned || !hasUpdate) continue;
+
+      try {
+        results.push({ lang, updated: await this.updateLanguage(lang, { version: latest }) });
+      } catch (error) {
+        results.push({ lang, updated: false, error });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Compare installed languages against the registry
+   * @param {string[]} langs - Languages to check (default all installed)
+   * @returns {Promise<Array<Object>>} `{ lang, current, latest, pinned, hasUpdate }` per language
+   */
+  async checkForUpdates(langs) {
+    return await Manager.checkForUpdates(langs);
+  }
+
+  /**
+   * Pin or unpin a language so bulk updates skip it
+   * @param {string} lang - Language identifier
+   * @param {boolean} pinned - Pin state
+   * @returns {Promise<boolean>} Success status
+   */
+  async pinLanguage(lang, pinned = true) {
+    return await Manager.pinLanguage(lang, pinned);
+  }
+
+  /**
+   * Get the install record (package, version, pin state) of a language
+   * @param {string} lang - Language identifier
+   * @returns {Promise<Object|null>} Install record
+   */
+  async getInstallInfo(lang) {
+    return await Manager.getInstallInfo(lang);
+  }
+
+  /**
+   * Get the size of an installed language on disk
+   * @param {string} lang - Language identifier
+   * @returns {Promise<number>} Size in bytes, 0 if not installed
+   */
+  async getLanguageSize(lang) {
+    return await Manager.getLanguageSize(lang);
+  }
+
+  /**
+   * Search the npm registry for installable grammars
+   * @param {string} text - Search text, empty to list popular grammars
+   * @returns {Promise<Array<Object>>} `{ lang, package, version, description }` per grammar
+   */
+  async searchRegistry(text = '') {
+    await this.waitForInit();
+    return await Manager.searchPackages(text);
+  }
+
+  /**
+   * Get the editor features enabled for a language
+   * @param {string} lang - Language identifier
+   * @returns {{highlighting: boolean, folding: boolean, diagnostics: boolean, indentation: boolean}} Features
+   */
+  getLanguageFeatures(lang) {
+    return { ...DEFAULT_FEATURES, ...this.#config.features?.[lang] };
+  }
+
+  /**
+   * Enable or disable editor features for a language, saved in config.json,
+   * and apply them to the open files of that language
+   * @param {string} lang - Language identifier
+   * @param {Object} features - Features to change, e.g. `{ folding: true }`
+   * @returns {Promise<Object>} Features of the language
+   * @throws {ConfigError} If a feature is unknown or not a boolean
+   */
+  async setLanguageFeatures(lang, features) {
+    await this.waitForInit();
+
+    await this.setConfig(['features', lang], { ...this.#config.features?.[lang], ...features });
+    return this.getLanguageFeatures(lang);
+  }
+
+  /**
+   * Enable or disable highlighting, folding, diagnostics and indentation for a file as set for its language.
+   * Features never set with `setLanguageFeatures` are left as they are.
+   * @param {EditorFile} file - Editor file
+   * @returns {Promise<string|null>} Language of the file, or null if no installed language matches
+   */
+  async applyLanguageFeatures(file) {
+    await this.waitForInit();
+
+    const lang = file?.session && this.#detectFileLanguage(file);
+    if (!lang) return null;
+
+    const features = this.#config.features?.[lang] || {};
+    const toggles = {
+      highlighting: [this.enableHighlighting, this.disableHighlighting],
+      folding: [this.enableFolding, this.disableFolding],
+      diagnostics: [this.enableDiagnostics, this.disableDiagnostics],
+      indentation: [this.enableIndentation, this.disableIndentation]
+    };
+    for (const [feature, [enable, disable]] of Object.entries(toggles)) {
+      if (!(feature in features)) continue;
+      await (features[feature] ? enable.call(this, file, lang) : disable.call(this, file));
+    }
+    return lang;
+  }
+
+  /**
+   * Register a registry source type usable in `registry.sources` of config.json
+   * @param {string} type - Source type
+   * @param {Function} SourceClass - Class constructed with the source options, implementing
+   * `resolveVersion(pkg, version)`, `listFiles(pkg, version)` and `fetchFile(pkg, version, path)`
+   */
+  registerSourceType(type, SourceClass) {
+    registerSourceType(type, SourceClass);
+  }
+
+  /**
+   * Get memory usage of grammars, parsers, queries and trees
+   * @returns {Object} `{ languages, grammars, parsers, queries, documents, trees, budget, heapUsed }`,
+   * where `languages` lists the recently used languages with `{ lang, lastUsed, inUse }`
+   */
+  getMemoryStats() {
+    const languages = [...this.#languages.values()].flatMap(language => [
+      language,
+      ...Object.values(language.extensions || {})
+    ]);
+    const documents = [...this.#documents.values()];
+    const inUse = this.#getLanguagesInUse();
+
+    return {
+      languages: [...this.#languageUsage].map(([lang, lastUsed]) => ({ lang, lastUsed, inUse: inUse.has(lang) })),
+      grammars: languages.filter(language => language.isLoaded).length,
+      parsers: Object.keys(this.#parser).length,
+      queries: languages.reduce((count, language) => count + language.compiledQueryCount, 0),
+      documents: documents.length,
+      trees: documents.filter(document => document.isLoaded).length,
+      budget: this.#getMemoryBudget(),
+      heapUsed: performance.memory?.usedJSHeapSize ?? null
+    };
+  }
+
+  /**
+   * Free what is over the memory budget: the parsers and compiled queries of the least recently
+   * used languages without attached documents, and the trees of the least recently used documents
+   * other than the active one. Everything is loaded again on next use.
+   * @param {boolean} all - Free every language and tree that is not in use, ignoring the budget
+   * @returns {{languages: string[], trees: number}} Freed languages and number of freed trees
+   */
+  trimMemory(all = false) {
+    clearTimeout(this.#trimTimer);
+    this.#trimTimer = null;
+
+    const { maxLanguages, maxTrees, idleTimeout } = this.#getMemoryBudget();
+    const now = Date.now();
+    const isOver = (index, lastUsed, max) => all || index >= max || now - lastUsed >= idleTimeout;
+    let nextCheck = Infinity;
+
+    const inUse = this.#getLanguagesInUse();
+    const languages = [...this.#languageUsage]
+      .filter(([lang]) => !inUse.has(lang))
+      .sort((a, b) => b[1] - a[1]);
+    const freedLanguages = [];
+    languages.forEach(([lang, lastUsed], index) => {
+      if (isOver(index, lastUsed, maxLanguages)) {
+        this.#freeLanguage(lang);
+        freedLanguages.push(lang);
+      } else {
+        nextCheck = Math.min(nextCheck, lastUsed + idleTimeout);
+      }
+    });
+
+    const activeId = editorManager.activeFile?.id;
+    const documents = [...this.#documents.values()]
+      .filter(document => document.isLoaded && document.file.id !== activeId)
+      .sort((a, b) => b.lastUsed - a.lastUsed);
+    let freedTrees = 0;
+    documents.forEach((document, index) => {
+      // The active document counts against the budget
+      if (isOver(index + 1, document.lastUsed, maxTrees)) {
+        if (document.unload()) freedTrees++;
+      } else {
+        nextCheck = Math.min(nextCheck, document.lastUsed + idleTimeout);
+      }
+    });
+
+    if (nextCheck < Infinity) {
+      this.#trimTimer = setTimeout(() => this.trimMemory(), Math.max(nextCheck - now, TRIM_DELAY));
+    }
+    return { languages: freedLanguages, trees: freedTrees };
+  }
+
+  /**
+   * Get the memory budget from config.json over the defaults
+   * @returns {{maxLanguages: number, maxTrees: number, idleTimeout: number}} Budget
+   * @private
+   */
+  #getMemoryBudget() {
+    // Read on every trim, without copying the whole configuration
+    return { ...DEFAULT_CONFIG.memory, ...this.#config.memory };
+  }
+
+  /**
+   * Get the languages of attached documents and of their injected layers, which are never freed
+   * @returns {Set<string>} Language identifiers
+   * @private
+   */
+  #getLanguagesInUse() {
+    const languages = new Set();
+    for (const document of this.#documents.values()) {
+      languages.add(document.lang);
+      for (const lang of document.layerLanguages) languages.add(lang);
+    }
+    return languages;
+  }
+
+  /**
+   * Mark a language as used and check the budget soon
+   * @param {string} lang - Language identifier
+   * @private
+   */
+  #touchLanguage(lang) {
+    this.#languageUsage.delete(lang);
+    this.#languageUsage.set(lang, Date.now());
+
+    clearTimeout(this.#trimTimer);
+    this.#trimTimer = setTimeout(() => this.trimMemory(), TRIM_DELAY);
+  }
+
+  /**
+   * Delete the parser and compiled queries of a language, keeping its grammar module for reuse
+   * @param {string} lang - Language identifier
+   * @private
+   */
+  #freeLanguage(lang) {
+    const [pkg, grammar] = lang.split(':');
+    const language = grammar ? this.#languages.get(pkg)?.extensions?.[grammar] : this.#languages.get(lang);
+
+    this.#injector.remove(lang);
+    this.#parser[lang]?.delete();
+    delete this.#parser[lang];
+    language?.unloadGrammar();
+    this.#languageUsage.delete(lang);
+  }
+
+  /**
+   * Drop cached languages, parsers and documents of a language package
+   * @param {string} lang - Language identifier
+   * @private
+   */
+  #unloadLanguage(lang) {
+    for (const [id, document] of this.#documents) {
+      if (document.lang.split(':')[0] === lang) this.detach(id);
+    }
+    for (const id of [...this.#languageUsage.keys(), ...Object.keys(this.#parser)]) {
+      if (id.split(':')[0] === lang) this.#freeLanguage(id);
+    }
+    this.#languages.delete(lang);
+    this.#worker?.unloadLanguage(lang);
+  }
+
+  /**
+   * Clear languages, parsers and attached documents, deleting their native objects
+   */
+  clear() {
+    for (const id of [...this.#documents.keys()]) this.detach(id);
+    for (const lang of [...this.#languageUsage.keys(), ...Object.keys(this.#parser)]) this.#freeLanguage(lang);
+    clearTimeout(this.#trimTimer);
+    this.#trimTimer = null;
+    this.#parser = {};
+    this.#languages.clear();
+    this.#injector.clear();
+    this.#terminateWorker();
+  }
+}
+
+/**
+ * Get a key identifying a range, e.g. to find the definition of a node
+ * @param {{start: Object, end: Object}} range - Range
+ * @returns {string} Key
+ */
+function rangeKey({ start, end }) {
+  return `${start.row}:${start.column}:${end.row}:${end.column}`;
+}
+
+/**
+ * Flatten nested injected layers in document order of their parents
+ * @param {InjectionLayer[]} layers - Top-level layers
+ * @returns {InjectionLayer[]} Layers and their descendants
+ */
+function flattenLayers(layers) {
+  return layers.flatMap(layer => [layer, ...flattenLayers(layer.children)]);
+}
+
+/**
+ * Get the smallest named node strictly enclosing a span
+ * @param {Node} root - Root node
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {Node|null} Enclosing node, or null if the root does not enclose the span
+ */
+function getEnclosingNode(root, start, end) {
+  const encloses = node =>
+    node.startIndex <= start && node.endIndex >= end && node.endIndex - node.startIndex > end - start;
+
+  // The root of a layer can be smaller than the span when it covers the whole injected region
+  let node = root.namedDescendantForIndex(start, end);
+  while (node && !encloses(node)) node = node.parent;
+  return node;
 }
 
 export default new TreeSitterAPI();
@@ -0,0 +1,96 @@
+import JSZip from 'jszip';
+
+const decoder = new TextDecoder();
+
+/**
+ * Extract the files of a package archive
+ * @param {ArrayBuffer} buffer - Archive content
+ * @param {string} filename - Archive file name, used to pick the format
+ * @returns {Promise<Array<{path: string, content: ArrayBuffer}>>} Files in the archive
+ */
+export async function extractArchive(buffer, filename) {
+  const name = filename.toLowerCase();
+
+  if (name.endsWith('.zip')) return extractZip(buffer);
+  if (name.endsWith('.tgz') || name.endsWith('.tar.gz')) return extractTar(await gunzip(buffer));
+  if (name.endsWith('.tar')) return extractTar(buffer);
+
+  throw new Error(`Unsupported archive format: ${filename}`);
+}
+
+/**
+ * Extract the files of a zip archive
+ * @param {ArrayBuffer} buffer - Zip content
+ * @returns {Promise<Array<{path: string, content: ArrayBuffer}>>} Files in the archive
+ */
+async function extractZip(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+  return Promise.all(
+    entries.map(async entry => ({
+      path: entry.name,
+      content: await entry.async('arraybuffer')
+    }))
+  );
+}
+
+/**
+ * Decompress gzip data
+ * @param {ArrayBuffer} buffer - Gzip content
+ * @returns {Promise<ArrayBuffer>} Decompressed content
+ */
+async function gunzip(buffer) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Gzip archives are not supported by this WebView, use a .zip archive instead');
+  }
+
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+}
+
+/**
+ * Extract the regular files of a tar archive (ustar, pax and GNU long names)
+ * @param {ArrayBuffer} buffer - Tar content
+ * @returns {Array<{path: string, content: ArrayBuffer}>} Files in the archive
+ */
+function extractTar(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const files = [];
+  let offset = 0;
+  let longName = null;
+
+  const readString = (start, length) => {
+    const field = bytes.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return decoder.decode(end === -1 ? field : field.subarray(0, end));
+  };
+
+  while (offset + 512 <= bytes.length) {
+    const name = readString(offset, 100);
+    if (!name) break;
+
+    const size = parseInt(readString(offset + 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(bytes[offset + 156] || 48);
+    const prefix = readString(offset + 345, 155);
+    const dataStart = offset + 512;
+    const data = bytes.subarray(dataStart, dataStart + size);
+
+    if (type === 'L') {
+      longName = readString(dataStart, size);
+    } else if (type === 'x') {
+      const path = decoder.decode(data).match(/^\d+ path=(.*)$/m);
+      if (path) longName = path[1];
+    } else {
+      if (type === '0') {
+        const path = longName || (prefix ? `${prefix}/${name}` : name);
+        files.push({ path, content: data.slice().buffer });
+      }
+      longName = null;
+    }
+
+    offset = dataStart + Math.ceil(size / 512) * 512;
+  }
+
+  return files;
+}
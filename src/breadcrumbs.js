@@ -0,0 +1,261 @@
+import tag from 'html-tag-js';
+import Api from './api.js';
+
+const { Range } = ace.require('ace/range');
+
+/**
+ * Milliseconds to wait after moving the cursor or editing before updating
+ */
+const UPDATE_DELAY = 150;
+
+/**
+ * Closing tokens kept visible after the placeholder when a scope is folded
+ */
+const CLOSING_TOKEN = /[)\]}>]$/;
+
+const STYLE = `
+.tree-sitter-breadcrumbs {
+  position: absolute; left: 0; right: 0; top: 0; z-index: 4; overflow-x: auto; white-space: nowrap;
+  padding: 0.125rem 0.5rem; font-size: 0.8rem;
+  background: var(--primary-color, #1e1e1e); color: var(--primary-text-color, #ddd);
+  border-bottom: solid 1px rgba(127, 127, 127, 0.5);
+}
+.tree-sitter-breadcrumbs .crumb { cursor: pointer; padding: 0 0.25rem; border-radius: 0.25rem; }
+.tree-sitter-breadcrumbs .crumb:last-child { font-weight: bold; }
+.tree-sitter-breadcrumbs .crumb .kind { opacity: 0.6; font-size: 0.7rem; margin-right: 0.25rem; }
+.tree-sitter-breadcrumbs .separator, .tree-sitter-breadcrumbs .empty { opacity: 0.5; }
+`;
+
+export default class Breadcrumbs {
+  #strip = null;
+  #crumbs;
+  #file = null;
+  #document = null;
+  #scopes = [];
+  #timer = null;
+  #version = 0;
+  #onUpdate;
+  #onSwitchFile;
+  #onDestroy;
+
+  /**
+   * Strip over the top of the editor showing the named scopes enclosing the cursor
+   * (e.g. namespace › class › method). Tapping a crumb jumps to its scope, long-pressing it folds the scope.
+   */
+  constructor() {
+    this.#onUpdate = () => this.#schedule();
+    this.#onSwitchFile = file => this.#bind(file);
+    // e.g. detached when its language is updated, attach the file again unless it was closed
+    this.#onDestroy = () => this.#bind(editorManager.files.includes(this.#file) ? this.#file : null);
+  }
+
+  /**
+   * Check if the strip is shown
+   */
+  get isShown() {
+    return this.#strip !== null;
+  }
+
+  /**
+   * Get the scopes shown, outermost first
+   * @returns {Array<Object>} `{ name, kind, lang, range, selectionRange }` scopes
+   */
+  get scopes() {
+    return this.#scopes;
+  }
+
+  /**
+   * Show the strip and start following the cursor of the active file
+   * @returns {Promise<void>}
+   */
+  async show() {
+    if (this.isShown) return;
+
+    const { editor } = editorManager;
+    this.#crumbs = tag('div', { className: 'crumbs' });
+    this.#strip = tag('div', {
+      className: 'tree-sitter-breadcrumbs',
+      children: [tag('style', { textContent: STYLE }), this.#crumbs]
+    });
+    editor.container.parentElement.append(this.#strip);
+
+    // Keep the first lines scrollable below the strip
+    const { bottom, left, right } = editor.renderer.scrollMargin;
+    editor.renderer.setScrollMargin(this.#strip.offsetHeight, bottom, left, right);
+    editor.selection.on('changeCursor', this.#onUpdate);
+    editorManager.on('switch-file', this.#onSwitchFile);
+
+    await this.#bind(editorManager.activeFile);
+  }
+
+  /**
+   * Hide the strip and stop following the cursor
+   */
+  hide() {
+    if (!this.isShown) return;
+
+    this.#unbind();
+    const { editor } = editorManager;
+    editor.selection.off('changeCursor', this.#onUpdate);
+    editorManager.off('switch-file', this.#onSwitchFile);
+    const { bottom, left, right } = editor.renderer.scrollMargin;
+    editor.renderer.setScrollMargin(0, bottom, left, right);
+
+    this.#strip.remove();
+    this.#strip = null;
+    this.#scopes = [];
+  }
+
+  /**
+   * Show the strip, or hide it if shown
+   * @returns {Promise<void>}
+   */
+  async toggle() {
+    if (this.isShown) this.hide();
+    else await this.show();
+  }
+
+  /**
+   * Render the scopes enclosing the cursor of the followed file
+   * @returns {Promise<void>}
+   */
+  async update() {
+    clearTimeout(this.#timer);
+    if (!this.isShown) return;
+
+    const version = ++this.#version;
+    const file = this.#file;
+    // Failures are reported by the API with an `error` event
+    const scopes = this.#document
+      ? await Api.getScopeChain(file, editorManager.editor.getCursorPosition()).catch(() => [])
+      : [];
+    // A newer update started, or the strip was hidden, while the scopes loaded
+    if (version !== this.#version || !this.isShown) return;
+
+    this.#scopes = scopes;
+    if (!scopes.length) {
+      const text = this.#document ? 'No enclosing scope' : 'No installed language for this file';
+      this.#crumbs.replaceChildren(tag('span', { className: 'empty', textContent: text }));
+      return;
+    }
+
+    const elements = [];
+    scopes.forEach((scope, i) => {
+      if (i) elements.push(tag('span', { className: 'separator', textContent: '›' }));
+      elements.push(
+        tag('span', {
+          className: 'crumb',
+          title: `${scope.kind} ${scope.name} (${scope.lang})`,
+          children: [
+            tag('span', { className: 'kind', textContent: scope.kind }),
+            tag('span', { textContent: scope.name })
+          ],
+          onclick: () => this.#jump(scope),
+          oncontextmenu: event => {
+            event.preventDefault();
+            this.#toggleFold(scope);
+          }
+        })
+      );
+    });
+    this.#crumbs.replaceChildren(...elements);
+    this.#crumbs.lastChild.scrollIntoView({ block: 'nearest', inline: 'end' });
+  }
+
+  /**
+   * Move the cursor to the name of a scope
+   * @param {Object} scope - Scope
+   * @private
+   */
+  #jump({ selectionRange: { start } }) {
+    const { editor } = editorManager;
+    editor.gotoLine(start.row + 1, start.column, false);
+    editor.renderer.scrollCursorIntoView(null, 0.5);
+    editor.focus();
+  }
+
+  /**
+   * Fold a scope from the end of its first row, keeping its closing token visible, or unfold it
+   * @param {Object} scope - Scope
+   * @private
+   */
+  #toggleFold({ range: { start, end } }) {
+    const { session } = this.#file;
+    if (start.row === end.row) {
+      window.toast('This scope is a single line', 3000);
+      return;
+    }
+
+    const lineEnd = session.getLine(start.row).length;
+    const fold = session.getFoldAt(start.row, lineEnd, 1);
+    if (fold) {
+      session.expandFold(fold);
+      return;
+    }
+
+    const last = session.getLine(end.row).slice(0, end.column);
+    const column = CLOSING_TOKEN.test(last) ? end.column - 1 : end.column;
+    try {
+      session.addFold('...', new Range(start.row, lineEnd, end.row, column));
+    } catch (error) {
+      // e.g. the scope overlaps a fold that does not contain it
+      window.toast(error.message, 3000);
+    }
+  }
+
+  /**
+   * Follow the syntax tree of a file, or show that it has no language, also when it fails to attach
+   * @param {EditorFile} file - Editor file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #bind(file) {
+    this.#unbind();
+    this.#file = file;
+    try {
+      if (file && (await Api.getLanguageForEditorFile(file))) {
+        const document = await Api.attach(file);
+        // Another file was shown, or the strip hidden, while the file attached
+        if (this.#file !== file || !this.isShown) return;
+
+        this.#document = document;
+        document.on('tree-changed', this.#onUpdate);
+        document.on('layers-changed', this.#onUpdate);
+        document.on('destroy', this.#onDestroy);
+      }
+    } catch (error) {
+      if (this.#file !== file || !this.isShown) return;
+      console.warn(`Cannot show the scopes of ${file.filename}:`, error.message);
+    }
+    await this.update();
+  }
+
+  /**
+   * Stop following the syntax tree of the followed file
+   * @private
+   */
+  #unbind() {
+    clearTimeout(this.#timer);
+    this.#document?.off('tree-changed', this.#onUpdate);
+    this.#document?.off('layers-changed', this.#onUpdate);
+    this.#document?.off('destroy', this.#onDestroy);
+    this.#document = null;
+    this.#file = null;
+  }
+
+  /**
+   * Update once the cursor or the tree stops changing for `UPDATE_DELAY`
+   * @private
+   */
+  #schedule() {
+    clearTimeout(this.#timer);
+    this.#timer = setTimeout(() => this.update(), UPDATE_DELAY);
+  }
+
+  /**
+   * Hide the strip
+   */
+  destroy() {
+    this.hide();
+  }
+}
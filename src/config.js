@@ -0,0 +1,256 @@
+/**
+ * Layout version of config.json, stored as `version`
+ */
+export const CONFIG_VERSION = 1;
+
+/**
+ * Values of the config keys read with defaults
+ */
+export const DEFAULT_CONFIG = {
+  memory: {
+    maxLanguages: 6,
+    maxTrees: 10,
+    idleTimeout: 5 * 60 * 1000
+  },
+  diagnostics: { delay: 500 },
+  parsing: { mode: 'thread' }
+};
+
+/**
+ * Error thrown when a config value does not match the schema
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string[]} details.path - Path of the invalid value, e.g. `['memory', 'maxTrees']`
+   * @param {*} details.value - Invalid value
+   */
+  constructor(message, { path, value }) {
+    const key = path.join('.');
+    // Without a key the whole configuration is concerned, e.g. when resetting it
+    super(key ? `${key}: ${message}` : `Configuration ${message}`);
+    this.name = 'ConfigError';
+    this.key = key;
+    this.path = path;
+    this.value = value;
+  }
+}
+
+const boolean = () => (value, path) => {
+  if (typeof value !== 'boolean') throw new ConfigError('must be a boolean', { path, value });
+};
+
+const integer = min => (value, path) => {
+  if (!Number.isInteger(value) || value < min) {
+    throw new ConfigError(`must be an integer of at least ${min}`, { path, value });
+  }
+};
+
+const string = (pattern, description) => (value, path) => {
+  if (typeof value !== 'string' || !value) throw new ConfigError('must be a non-empty string', { path, value });
+  if (pattern && !pattern.test(value)) throw new ConfigError(`must be ${description}`, { path, value });
+};
+
+const oneOf = values => (value, path) => {
+  if (!values.includes(value)) {
+    throw new ConfigError(`must be one of ${values.map(v => JSON.stringify(v)).join(', ')}`, { path, value });
+  }
+};
+
+const nullable = validate => (value, path) => {
+  if (value !== null) validate(value, path);
+};
+
+const object = (shape, { open = false, required = [] } = {}) => (value, path) => {
+  if (!isPlainObject(value)) throw new ConfigError('must be an object', { path, value });
+  const missing = required.find(name => value[name] === undefined);
+  if (missing) throw new ConfigError(`must have a ${JSON.stringify(missing)} key`, { path, value });
+  for (const [name, item] of Object.entries(value)) {
+    if (shape[name]) shape[name](item, [...path, name]);
+    else if (!open) throw new ConfigError('unknown key', { path: [...path, name], value: item });
+  }
+};
+
+const record = validate => (value, path) => {
+  if (!isPlainObject(value)) throw new ConfigError('must be an object', { path, value });
+  for (const [name, item] of Object.entries(value)) validate(item, [...path, name]);
+};
+
+const array = validate => (value, path) => {
+  if (!Array.isArray(value)) throw new ConfigError('must be an array', { path, value });
+  value.forEach((item, i) => validate(item, [...path, String(i)]));
+};
+
+/**
+ * Validators of the top-level config keys
+ */
+const SCHEMA = {
+  version: integer(0),
+  features: record(
+    object({ highlighting: boolean(), folding: boolean(), diagnostics: boolean(), indentation: boolean() })
+  ),
+  queries: record(record(string())),
+  memory: object({ maxLanguages: integer(0), maxTrees: integer(1), idleTimeout: integer(0) }),
+  registry: object({
+    // Sources take options of their type
+    sources: array(object({ type: string(), name: string() }, { open: true, required: ['type'] })),
+    packages: record(string()),
+    searchUrl: string(/^https?:\/\//, 'an http(s) URL')
+  }),
+  highlight: object({ captureClasses: record(nullable(string())) }),
+  diagnostics: object({ delay: integer(0) }),
+  parsing: object({ mode: oneOf(['thread', 'worker']) }),
+  detection: object({ overrides: record(string()) })
+};
+
+/**
+ * Migrations of older config files, the one at index `n` upgrades a version `n` file.
+ * Files written before `version` existed are version 0.
+ */
+const MIGRATIONS = [
+  // Version 0 files were never validated, values the schema rejects are dropped when loading
+  config => config
+];
+
+/**
+ * Split a config key into path segments
+ * @param {string|string[]} key - Dotted path, e.g. `memory.maxTrees`, or path segments
+ * for names containing dots (e.g. `['detection', 'overrides', '*.conf']`)
+ * @returns {string[]} Path segments
+ * @throws {ConfigError} If the key is empty or its first segment is not a config key
+ */
+export function parseKey(key) {
+  const path = Array.isArray(key) ? key.map(String) : String(key ?? '').split('.');
+  if (!path.length || path.some(segment => !segment)) throw new ConfigError('invalid key', { path, value: key });
+  if (!SCHEMA[path[0]]) throw new ConfigError('unknown config key', { path, value: key });
+  return path;
+}
+
+/**
+ * Validate the value of a top-level config key
+ * @param {string} name - Top-level key, e.g. `memory`
+ * @param {*} value - Value, undefined when unset
+ * @throws {ConfigError} If the value does not match the schema
+ */
+export function validateConfig(name, value) {
+  if (!SCHEMA[name]) throw new ConfigError('unknown config key', { path: [name], value });
+  if (value !== undefined) SCHEMA[name](value, [name]);
+}
+
+/**
+ * Upgrade a config read from config.json to the current version, dropping the values
+ * the schema rejects and the unknown top-level keys
+ * @param {Object} stored - Parsed config.json
+ * @returns {{config: Object, changed: boolean}} Migrated config, and whether it differs from the file
+ */
+export function migrateConfig(stored) {
+  if (!isPlainObject(stored)) {
+    console.warn('Ignoring config.json, it is not an object');
+    return { config: { version: CONFIG_VERSION }, changed: true };
+  }
+
+  let config = clone(stored);
+  const version = Number.isInteger(config.version) ? config.version : 0;
+  if (version > CONFIG_VERSION) {
+    // Written by a newer version of the plugin, leave it untouched
+    console.warn(`config.json version ${version} is newer than ${CONFIG_VERSION}`);
+    return { config, changed: false };
+  }
+
+  for (let from = version; from < CONFIG_VERSION; from++) config = MIGRATIONS[from](config);
+  config.version = CONFIG_VERSION;
+
+  for (const name of Object.keys(config)) {
+    if (!SCHEMA[name]) {
+      console.warn(`Dropping unknown config key ${name}`);
+      delete config[name];
+      continue;
+    }
+
+    // Drop the invalid values one at a time, keeping the rest of the key
+    for (;;) {
+      try {
+        validateConfig(name, config[name]);
+        break;
+      } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        console.warn(`Dropping invalid config value ${error.message}`);
+        config = setPath(config, error.path, undefined);
+      }
+    }
+  }
+
+  return { config, changed: JSON.stringify(config) !== JSON.stringify(stored) };
+}
+
+/**
+ * Get the value at a path
+ * @param {Object} object - Object to read
+ * @param {string[]} path - Path segments
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+export function getPath(object, path) {
+  return path.reduce((value, segment) => (value == null ? undefined : value[segment]), object);
+}
+
+/**
+ * Copy an object with a value set at a path, creating the objects on the way.
+ * An undefined value removes the path, and the objects left empty.
+ * @param {Object} object - Object to copy
+ * @param {string[]} path - Path segments
+ * @param {*} value - Value
+ * @returns {Object} Copy
+ */
+export function setPath(object, path, value) {
+  const [segment, ...rest] = path;
+  const current = object?.[segment];
+  const container = isPlainObject(current) || Array.isArray(current) ? current : {};
+  const next = rest.length ? setPath(container, rest, value) : value;
+  const isEmpty = next === undefined || (rest.length && isPlainObject(next) && !Object.keys(next).length);
+
+  if (Array.isArray(object)) {
+    const copy = [...object];
+    if (isEmpty) copy.splice(Number(segment), 1);
+    else copy[Number(segment)] = next;
+    return copy;
+  }
+
+  const copy = { ...object };
+  if (isEmpty) delete copy[segment];
+  else copy[segment] = next;
+  return copy;
+}
+
+/**
+ * Merge a config over defaults, plain objects are merged by key
+ * @param {Object} defaults - Default values
+ * @param {Object} config - Config
+ * @returns {Object} Merged config
+ */
+export function mergeConfig(defaults, config) {
+  const merged = { ...defaults };
+  for (const [name, value] of Object.entries(config)) {
+    const isMerged = isPlainObject(value) && isPlainObject(defaults[name]);
+    merged[name] = isMerged ? mergeConfig(defaults[name], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Deep copy a JSON value
+ * @param {*} value - Value
+ * @returns {*} Copy
+ */
+export function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check if a value is a plain object, not an array or null
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
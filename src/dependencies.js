@@ -0,0 +1,102 @@
+/**
+ * Keys of a tree-sitter.json grammar listing its query files
+ */
+export const QUERY_KEYS = ['highlights', 'injections', 'locals', 'tags'];
+
+/**
+ * `; inherits: lang1,(lang2)` modeline of a query file
+ */
+const INHERITS = /^;+\s*inherits\s*:?\s*([\w:,()\s-]+?)\s*$/;
+
+/**
+ * npm packages of grammars, `tree-sitter` and `tree-sitter-cli` are bindings and tools
+ */
+const GRAMMAR_PACKAGE = /^(@[^/]+\/)?tree-sitter-(?!cli$)[\w.-]+$/;
+
+/**
+ * Error thrown when languages depend on each other
+ */
+export class DependencyCycleError extends Error {
+  /**
+   * @param {string[]} chain - Languages from the first one back to it, e.g. `['a', 'b', 'a']`
+   */
+  constructor(chain) {
+    super(`Dependency cycle: ${chain.join(' → ')}`);
+    this.name = 'DependencyCycleError';
+    this.chain = chain;
+  }
+}
+
+/**
+ * Parse the `; inherits:` modelines at the top of a query file. Languages in parentheses are
+ * optional: they are only inherited by the file being loaded, not when it is itself inherited.
+ * @param {string} source - Query source
+ * @returns {Array<{name: string, optional: boolean}>} Inherited languages in order
+ */
+export function parseInherits(source) {
+  const inherits = [];
+  for (const line of source.split('\n')) {
+    if (!line.startsWith(';')) break;
+
+    const match = line.trim().match(INHERITS);
+    if (!match) continue;
+    for (const item of match[1].split(',')) {
+      const name = item.trim().replace(/^\((.*)\)$/, '$1');
+      if (name) inherits.push({ name, optional: item.trim().startsWith('(') });
+    }
+  }
+  return inherits;
+}
+
+/**
+ * Find the tree-sitter.json entry of a grammar
+ * @param {Object} config - Parsed tree-sitter.json
+ * @param {string} name - Grammar name, also matched against the grammar path (e.g. `tsx`)
+ * @returns {Object|null} Grammar entry
+ */
+export function findGrammar(config, name) {
+  const grammars = Array.isArray(config?.grammars) ? config.grammars : [];
+  return (
+    grammars.find(grammar => grammar.name === name) ||
+    grammars.find(grammar => (grammar.path || '').split('/').pop() === name) ||
+    (grammars.length === 1 ? grammars[0] : null)
+  );
+}
+
+/**
+ * Get the query files a grammar lists for a query, in the order they are concatenated
+ * @param {Object} grammar - tree-sitter.json grammar entry
+ * @param {string} key - Query key, e.g. `highlights`
+ * @returns {Array<{pkg: string|null, file: string}>} Files, where `pkg` is the npm package
+ * of `node_modules/<pkg>/...` paths and null for files of the grammar's own package
+ */
+export function getQueryFiles(grammar, key) {
+  const paths = [].concat(grammar?.[key] || []).filter(path => typeof path === 'string');
+  return paths.map(path => {
+    const match = path.match(/^node_modules\/((?:@[^/]+\/)?[^/]+)\/(.+)$/);
+    return { pkg: match ? match[1] : null, file: (match ? match[2] : path).split('/').pop() };
+  });
+}
+
+/**
+ * Get the grammar packages a package depends on, from `node_modules/` query paths of its
+ * tree-sitter.json and the `dependencies` of its package.json
+ * @param {Object} config - Parsed tree-sitter.json
+ * @param {Object} pkg - Parsed package.json, if available
+ * @returns {Object} Package name to version range (`latest` when only tree-sitter.json names it)
+ */
+export function getPackageDependencies(config, pkg = null) {
+  const dependencies = {};
+  for (const [name, range] of Object.entries(pkg?.dependencies || {})) {
+    if (GRAMMAR_PACKAGE.test(name) && name !== pkg.name) dependencies[name] = range;
+  }
+
+  for (const grammar of Array.isArray(config?.grammars) ? config.grammars : []) {
+    for (const key of QUERY_KEYS) {
+      for (const { pkg: name } of getQueryFiles(grammar, key)) {
+        if (name && !dependencies[name]) dependencies[name] = 'latest';
+      }
+    }
+  }
+  return dependencies;
+}
@@ -0,0 +1,197 @@
+import Manager from './manager.js';
+import { minimatch } from 'minimatch';
+
+const Url = acode.require('url');
+
+export default class LanguageDetector {
+  #entries = [];
+
+  /**
+   * Get all registered grammar entries
+   * @returns {Array<Object>} Grammar entries
+   */
+  get entries() {
+    return this.#entries;
+  }
+
+  /**
+   * Rebuild the registry from all installed languages
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    const languages = await Manager.getAvailableLanguages();
+    this.#entries = [];
+    await Promise.all(languages.map(lang => this.add(lang)));
+  }
+
+  /**
+   * Register the grammars of an installed language package
+   * @param {string} lang - Language identifier
+   * @returns {Promise<void>}
+   */
+  async add(lang) {
+    this.remove(lang);
+
+    try {
+      const info = await Manager.getLanguageInfo(lang);
+      if (!info) return;
+
+      const grammars = info.config?.grammars || [];
+      for (const grammar of grammars) {
+        this.#entries.push({
+          id: this.#resolveId(lang, grammar, grammars.length, info.grammarNames),
+          lang,
+          name: grammar.name,
+          scope: grammar.scope || null,
+          fileTypes: grammar['file-types'] || [],
+          firstLineRegex: this.#toRegExp(grammar['first-line-regex']),
+          contentRegex: this.#toRegExp(grammar['content-regex']),
+          injectionRegex: this.#toRegExp(grammar['injection-regex'])
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to register language ${lang}:`, error);
+    }
+  }
+
+  /**
+   * Unregister the grammars of a language package
+   * @param {string} lang - Language identifier
+   */
+  remove(lang) {
+    this.#entries = this.#entries.filter(entry => entry.lang !== lang);
+  }
+
+  /**
+   * Detect the language of a file
+   * @param {string} filename - File name or path
+   * @param {string} content - File content, only the first lines are needed
+   * @param {Object} overrides - Glob or file type to language identifier overrides
+   * @returns {string|null} Language identifier
+   */
+  detect(filename, content = '', overrides = {}) {
+    const basename = Url.basename(filename || '') || '';
+
+    for (const [pattern, id] of Object.entries(overrides || {})) {
+      if (this.#matchesFileType(basename, pattern) || minimatch(basename, pattern, { dot: true })) {
+        return id;
+      }
+    }
+
+    const firstLine = content.split('\n', 1)[0];
+    const candidates = this.#matchFileTypes(basename);
+
+    if (candidates.length > 1) {
+      const byContent = candidates.find(entry => entry.contentRegex?.test(content));
+      return (byContent || candidates.find(entry => !entry.contentRegex) || candidates[0]).id;
+    }
+    if (candidates.length) return candidates[0].id;
+
+    const byFirstLine = this.#entries.find(entry => entry.firstLineRegex?.test(firstLine));
+    if (byFirstLine) return byFirstLine.id;
+
+    const interpreter = this.#getShebangInterpreter(firstLine);
+    return interpreter ? this.findByName(interpreter) : null;
+  }
+
+  /**
+   * Find a language by name, scope or injection regex (e.g. 'js', 'python3', 'source.ts')
+   * @param {string} name - Language name
+   * @returns {string|null} Language identifier
+   */
+  findByName(name) {
+    if (!name) return null;
+
+    const names = [name, name.toLowerCase(), name.toLowerCase().replace(/[\d.]+$/, '')];
+    for (const value of names) {
+      const entry =
+        this.#entries.find(entry => entry.id === value || entry.name === value) ||
+        this.#entries.find(entry => entry.scope === value) ||
+        this.#entries.find(entry => entry.injectionRegex?.test(value));
+      if (entry) return entry.id;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the entries whose file types match a file name, most specific first
+   * @param {string} basename - File name
+   * @returns {Array<Object>} Matching entries
+   * @private
+   */
+  #matchFileTypes(basename) {
+    return this.#entries
+      .map(entry => ({
+        entry,
+        length: Math.max(
+          0,
+          ...entry.fileTypes.filter(type => this.#matchesFileType(basename, type)).map(t => t.length)
+        )
+      }))
+      .filter(({ length }) => length > 0)
+      .sort((a, b) => b.length - a.length)
+      .filter(({ length }, _, list) => length === list[0].length)
+      .map(({ entry }) => entry);
+  }
+
+  /**
+   * Check if a file name matches a tree-sitter file type (a full name or a suffix)
+   * @param {string} basename - File name
+   * @param {string} type - File type
+   * @returns {boolean}
+   * @private
+   */
+  #matchesFileType(basename, type) {
+    return basename === type || basename.endsWith(type.startsWith('.') ? type : `.${type}`);
+  }
+
+  /**
+   * Get the interpreter name from a shebang line
+   * @param {string} line - First line of a file
+   * @returns {string|null} Interpreter name
+   * @private
+   */
+  #getShebangInterpreter(line) {
+    const match = line.match(/^#!\s*(\S+)(?:\s+(?:-\S+\s+)*(\S+))?/);
+    if (!match) return null;
+
+    const program = Url.basename(match[1]);
+    return program === 'env' ? match[2] || null : program;
+  }
+
+  /**
+   * Build the identifier used to load a grammar
+   * @param {string} lang - Language package identifier
+   * @param {Object} grammar - Grammar from tree-sitter.json
+   * @param {number} count - Number of grammars in the package
+   * @param {string[]} grammarNames - Names of the package's WASM grammars
+   * @returns {string} `lang` for the main grammar, `lang:name` for the others
+   * @private
+   */
+  #resolveId(lang, grammar, count, grammarNames) {
+    const pathName = Url.basename(grammar.path || '.');
+    const name =
+      [grammar.name, pathName].find(value => grammarNames.includes(value)) ||
+      (count === 1 ? lang : grammar.name);
+
+    return name === lang ? lang : `${lang}:${name}`;
+  }
+
+  /**
+   * Compile a regex from tree-sitter.json
+   * @param {string} source - Regex source
+   * @returns {RegExp|null}
+   * @private
+   */
+  #toRegExp(source) {
+    if (!source) return null;
+
+    try {
+      return new RegExp(source);
+    } catch (error) {
+      console.warn(`Invalid regex in tree-sitter.json: ${source}`);
+      return null;
+    }
+  }
+}
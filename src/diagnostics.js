@@ -0,0 +1,177 @@
+import EventEmitter from 'eventemitter3';
+import { toRange } from './ranges.js';
+
+/**
+ * Longest error text quoted in a message
+ */
+const MAX_QUOTED_LENGTH = 30;
+
+export default class DiagnosticsProvider extends EventEmitter {
+  #document;
+  #delay;
+  #timer = null;
+  #diagnostics = [];
+  #annotations = [];
+  #onChanged;
+  #onDestroy;
+
+  /**
+   * Report the `ERROR` and `MISSING` nodes of an attached document as Ace annotations,
+   * from the first `update()` then after each reparse
+   * @param {TreeDocument} document - Attached document
+   * @param {Object} options - Optional parameters
+   * @param {number} options.delay - Milliseconds to wait after a reparse before collecting errors
+   */
+  constructor(document, options = {}) {
+    super();
+    this.#document = document;
+    this.#delay = options.delay ?? 500;
+
+    this.#onChanged = () => this.#schedule();
+    this.#onDestroy = () => this.destroy();
+
+    document.on('tree-changed', this.#onChanged);
+    document.on('layers-changed', this.#onChanged);
+    document.on('destroy', this.#onDestroy);
+  }
+
+  /**
+   * Get the checked document
+   */
+  get document() {
+    return this.#document;
+  }
+
+  /**
+   * Get the Ace session of the document
+   */
+  get session() {
+    return this.#document.session;
+  }
+
+  /**
+   * Get the diagnostics of the last update
+   * @returns {Array<Object>} `{ range, message, severity, lang }` in document order
+   */
+  get diagnostics() {
+    return this.#diagnostics;
+  }
+
+  /**
+   * Collect the errors of the document and its injected layers now, and replace
+   * the annotations set by this provider
+   * @returns {Array<Object>} Diagnostics
+   */
+  update() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+
+    const document = this.#document;
+    const diagnostics = [];
+    const visit = layers => {
+      for (const layer of layers) {
+        diagnostics.push(...collectDiagnostics(layer.tree.rootNode, layer.lang));
+        visit(layer.children);
+      }
+    };
+    if (document.tree) diagnostics.push(...collectDiagnostics(document.tree.rootNode, document.lang));
+    visit(document.layers);
+    diagnostics.sort(
+      (a, b) => a.range.start.row - b.range.start.row || a.range.start.column - b.range.start.column
+    );
+
+    this.#diagnostics = diagnostics;
+    this.#setAnnotations(
+      diagnostics.map(({ range, message, severity }) => ({
+        row: range.start.row,
+        column: range.start.column,
+        text: message,
+        type: severity
+      }))
+    );
+    this.emit('change', { document, diagnostics });
+    return diagnostics;
+  }
+
+  /**
+   * Update once the document is idle
+   * @private
+   */
+  #schedule() {
+    clearTimeout(this.#timer);
+    this.#timer = setTimeout(() => this.update(), this.#delay);
+  }
+
+  /**
+   * Replace the annotations of this provider, keeping the ones set by others (e.g. Ace workers)
+   * @param {Array<Object>} annotations - Ace annotations
+   * @private
+   */
+  #setAnnotations(annotations) {
+    const session = this.session;
+    const others = session.getAnnotations().filter(annotation => !this.#annotations.includes(annotation));
+
+    this.#annotations = annotations;
+    session.setAnnotations([...others, ...annotations]);
+  }
+
+  /**
+   * Stop reporting errors and remove the annotations
+   */
+  destroy() {
+    if (!this.#document) return;
+
+    const document = this.#document;
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    document.off('tree-changed', this.#onChanged);
+    document.off('layers-changed', this.#onChanged);
+    document.off('destroy', this.#onDestroy);
+    if (this.session) this.#setAnnotations([]);
+
+    this.#document = null;
+    this.#diagnostics = [];
+    this.emit('destroy', this, document);
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Collect the `ERROR` and `MISSING` nodes of a tree, only descending into subtrees with errors
+ * @param {Node} root - Root node
+ * @param {string} lang - Language identifier of the tree
+ * @returns {Array<Object>} Diagnostics `{ range, message, severity, lang }`
+ */
+export function collectDiagnostics(root, lang) {
+  const diagnostics = [];
+  const visit = node => {
+    if (node.isMissing || node.isError) {
+      diagnostics.push({ range: toRange(node), message: getMessage(node), severity: 'error', lang });
+      return;
+    }
+    for (const child of node.children) {
+      if (child.hasError || child.isMissing) visit(child);
+    }
+  };
+
+  if (root.hasError) visit(root);
+  return diagnostics;
+}
+
+/**
+ * Describe an error node, e.g. "missing `;`" or "unexpected `}`"
+ * @param {Node} node - `ERROR` or `MISSING` node
+ * @returns {string} Message
+ */
+function getMessage(node) {
+  if (node.isMissing) return node.isNamed ? `missing ${node.type.replace(/_/g, ' ')}` : `missing \`${node.type}\``;
+
+  let text = node.text.trim();
+  if (text.includes('\n') || text.length > MAX_QUOTED_LENGTH) {
+    // Quote the first token of long errors
+    let leaf = node;
+    while (leaf.childCount) leaf = leaf.firstChild;
+    text = leaf.text.trim();
+  }
+  return text && text.length <= MAX_QUOTED_LENGTH ? `unexpected \`${text}\`` : 'syntax error';
+}
@@ -0,0 +1,481 @@
+import EventEmitter from 'eventemitter3';
+
+export default class TreeDocument extends EventEmitter {
+  #file;
+  #lang;
+  #parser;
+  #tree = null;
+  #dirty = false;
+  #timer = null;
+  #delay;
+  #injector;
+  #layers = null;
+  #layerLanguages = new Set();
+  #unloaded = false;
+  #lastUsed = Date.now();
+  #onChange;
+  #worker;
+  #remote = null;
+  #request = null;
+  #edits = [];
+  #pendingRanges = [];
+  #version = 0;
+  #remoteVersion = -1;
+  #generation = 0;
+
+  /**
+   * Create a live syntax tree bound to an editor file
+   * @param {EditorFile} file - Editor file to track
+   * @param {string} lang - Language identifier
+   * @param {Parser} parser - Parser configured for the language
+   * @param {Object} options - Optional parameters
+   * @param {number} options.delay - Milliseconds to wait before reparsing after an edit
+   * @param {Injector} options.injector - Parses the embedded languages of the document
+   * @param {ParseWorker} options.worker - Reparse in this worker, with the language loaded in it.
+   * The tree of this thread is then only parsed when `tree` is read.
+   */
+  constructor(file, lang, parser, options = {}) {
+    super();
+    this.#file = file;
+    this.#lang = lang;
+    this.#parser = parser;
+    this.#delay = options.delay ?? 0;
+    this.#injector = options.injector || null;
+    this.#worker = options.worker || null;
+    this.#onChange = delta => this.#handleChange(delta);
+
+    if (this.#worker) {
+      this.#unloaded = true;
+      this.#parseInWorker();
+    } else {
+      this.#tree = this.#parser.parse(this.session.getValue());
+    }
+    this.session.on('change', this.#onChange);
+  }
+
+  /**
+   * Get the bound editor file
+   */
+  get file() {
+    return this.#file;
+  }
+
+  /**
+   * Get the Ace session of the bound file
+   */
+  get session() {
+    return this.#file.session;
+  }
+
+  /**
+   * Get language identifier
+   */
+  get lang() {
+    return this.#lang;
+  }
+
+  /**
+   * Get the parser used by this document
+   */
+  get parser() {
+    return this.#parser;
+  }
+
+  /**
+   * Get the current syntax tree, reparsing first if edits are pending or if the tree was unloaded.
+   * With a parse worker, the tree of this thread is parsed on first access.
+   */
+  get tree() {
+    this.#lastUsed = Date.now();
+    if (this.#dirty || this.#unloaded) this.parse();
+    return this.#tree;
+  }
+
+  /**
+   * Check if the syntax tree is in memory, in this thread or in the worker
+   */
+  get isLoaded() {
+    return this.#tree !== null || this.#remote !== null;
+  }
+
+  /**
+   * Get the parse worker reparsing the document, null when it is parsed in this thread
+   */
+  get worker() {
+    return this.#worker;
+  }
+
+  /**
+   * Get the tree held by the parse worker, parsing it there if it was unloaded.
+   * It may lag behind the text, see `isRemoteCurrent`.
+   * @returns {RemoteTree|null} Tree, or null until the worker parsed it or when parsed in this thread
+   */
+  get remoteTree() {
+    if (this.#worker && !this.#remote && !this.#request) this.#parseInWorker();
+    return this.#remote;
+  }
+
+  /**
+   * Check if the tree held by the parse worker matches the text, i.e. no edit was made since it was parsed
+   */
+  get isRemoteCurrent() {
+    return this.#remote !== null && this.#remoteVersion === this.#version;
+  }
+
+  /**
+   * Get the number of edits made to the text, to tell if results computed from it are outdated
+   */
+  get version() {
+    return this.#version;
+  }
+
+  /**
+   * Get when the tree was last accessed or edited, in milliseconds since the epoch
+   */
+  get lastUsed() {
+    return this.#lastUsed;
+  }
+
+  /**
+   * Get the layers of embedded languages injected in the document tree.
+   * Layers are parsed on first access after each reparse; languages that are not
+   * loaded yet are loaded in the background and `layers-changed` is emitted once ready.
+   * @returns {InjectionLayer[]} Top-level injected layers
+   */
+  get layers() {
+    const tree = this.tree;
+    if (this.#layers || !tree || !this.#injector) return this.#layers || [];
+
+    const { layers, pending } = this.#injector.parse(this.session.getValue(), this.#lang, tree);
+    this.#layers = layers;
+    this.#layerLanguages = new Set();
+    const addLanguages = list => {
+      for (const layer of list) {
+        this.#layerLanguages.add(layer.lang);
+        addLanguages(layer.children);
+      }
+    };
+    addLanguages(layers);
+
+    if (pending.length) {
+      Promise.all(pending).then(() => {
+        if (this.#tree !== tree) return;
+        this.#clearLayers();
+        this.emit('layers-changed', { document: this });
+      });
+    }
+    return layers;
+  }
+
+  /**
+   * Get the languages of the injected layers, as of the last time the layers were parsed.
+   * Unlike `layers`, reading it never parses.
+   * @returns {Set<string>} Language identifiers
+   */
+  get layerLanguages() {
+    return this.#layerLanguages;
+  }
+
+  /**
+   * Check if edits are waiting to be reparsed
+   */
+  get isDirty() {
+    return this.#dirty;
+  }
+
+  /**
+   * Reparse the document using the previous tree.
+   * With a parse worker, only the tree of this thread is reparsed and `tree-changed` is left to the worker.
+   * @returns {Tree} Updated syntax tree
+   */
+  parse() {
+    if (!this.#worker) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+    }
+    this.#dirty = false;
+    this.#unloaded = false;
+
+    const oldTree = this.#tree;
+    const tree = this.#parser.parse(this.session.getValue(), oldTree);
+    this.#tree = tree;
+    this.#clearLayers();
+
+    if (!this.#worker) {
+      // Without a previous tree (after unload(), or when the worker failed first) the whole document changed
+      const changedRanges = oldTree ? oldTree.getChangedRanges(tree) : [getFullRange(tree.rootNode)];
+      oldTree?.delete();
+      this.emit('tree-changed', { document: this, tree, changedRanges });
+    } else {
+      oldTree?.delete();
+    }
+    return tree;
+  }
+
+  /**
+   * Reparse the document in the parse worker, then emit `tree-changed` with the worker's changed ranges.
+   * Edits made while the worker parses are sent once it is done, and announced together.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #parseInWorker() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    // The running request parses again when it ends if edits were made meanwhile
+    if (this.#request) return;
+
+    const generation = this.#generation;
+    const version = this.#version;
+    const text = this.session.getValue();
+    const edits = this.#edits;
+    this.#edits = [];
+
+    let changedRanges;
+    try {
+      if (this.#remote) {
+        this.#request = this.#remote.edit(edits, text);
+        changedRanges = await this.#request;
+      } else {
+        this.#request = this.#worker.parse(this.#lang, text);
+        const remote = await this.#request;
+        // Unloaded or destroyed while parsing
+        if (generation !== this.#generation) {
+          remote.delete().catch(() => {});
+          return;
+        }
+        this.#remote = remote;
+        changedRanges = [getFullRange(remote.rootNode)];
+      }
+    } catch (error) {
+      if (generation !== this.#generation) return;
+      // e.g. the worker was terminated, keep the document working in this thread
+      console.error(`Parse worker failed for ${this.#file.filename}, parsing in this thread:`, error.message);
+      this.#useThread();
+      return;
+    } finally {
+      if (generation === this.#generation) this.#request = null;
+    }
+    if (generation !== this.#generation) return;
+
+    this.#remoteVersion = version;
+    this.#pendingRanges.push(...changedRanges);
+    if (this.#version !== version) {
+      // Move the ranges to the edited text and parse that, to announce all of them as ranges of the current text
+      for (const edit of this.#edits) {
+        this.#pendingRanges = this.#pendingRanges.map(range => shiftRange(range, edit));
+      }
+      this.#parseInWorker();
+      return;
+    }
+
+    const ranges = this.#pendingRanges;
+    this.#pendingRanges = [];
+    this.emit('tree-changed', { document: this, tree: this.#remote, changedRanges: ranges });
+  }
+
+  /**
+   * Stop using the parse worker and parse in this thread
+   * @private
+   */
+  #useThread() {
+    this.#freeRemote();
+    this.#worker = null;
+    this.parse();
+  }
+
+  /**
+   * Get the innermost injected layer at a position
+   * @param {{row: number, column: number}} position - Document position
+   * @returns {InjectionLayer|null} Layer, or null if the position is in the document tree only
+   */
+  layerAt(position) {
+    const index = this.session.getDocument().positionToIndex(position);
+    let layer = null;
+
+    for (let layers = this.layers; layers.length; ) {
+      const inner = layers.find(candidate => candidate.contains(index));
+      if (!inner) break;
+      layer = inner;
+      layers = inner.children;
+    }
+    return layer;
+  }
+
+  /**
+   * Get the language at a position, descending into injected layers
+   * @param {{row: number, column: number}} position - Document position
+   * @returns {string} Language identifier
+   */
+  languageAt(position) {
+    return this.layerAt(position)?.lang || this.#lang;
+  }
+
+  /**
+   * Get the innermost named node at a position, descending into injected layers
+   * @param {{row: number, column: number}} position - Document position
+   * @returns {Node|null} Syntax node
+   */
+  nodeAt(position) {
+    const tree = this.layerAt(position)?.tree || this.tree;
+    return tree?.rootNode.namedDescendantForPosition(position) || null;
+  }
+
+  /**
+   * Free the injected layers
+   * @private
+   */
+  #clearLayers() {
+    for (const layer of this.#layers || []) layer.delete();
+    this.#layers = null;
+  }
+
+  /**
+   * Free the tree and its layers to save memory. The document keeps tracking the file
+   * and parses it again from scratch on the next access to `tree`.
+   * @returns {boolean} True if a tree was freed
+   */
+  unload() {
+    if (!this.isLoaded) return false;
+
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    this.#dirty = false;
+    this.#clearLayers();
+    this.#tree?.delete();
+    this.#tree = null;
+    this.#unloaded = true;
+    this.#freeRemote();
+    return true;
+  }
+
+  /**
+   * Free the tree held by the parse worker, it is parsed again from scratch on the next edit
+   * @private
+   */
+  #freeRemote() {
+    this.#generation++;
+    this.#request = null;
+    this.#remote?.delete().catch(() => {});
+    this.#remote = null;
+    this.#edits = [];
+    this.#pendingRanges = [];
+  }
+
+  /**
+   * Apply an Ace change delta to the tree and schedule a reparse
+   * @param {Object} delta - Ace change delta
+   * @private
+   */
+  #handleChange(delta) {
+    this.#version++;
+    if (!this.#tree && !this.#remote && !this.#request) return;
+    this.#lastUsed = Date.now();
+
+    const edit = TreeDocument.deltaToEdit(delta, this.session.getDocument());
+    if (this.#tree) {
+      this.#tree.edit(edit);
+      this.#dirty = true;
+    }
+    if (!this.#worker) {
+      this.#timer ??= setTimeout(() => this.parse(), this.#delay);
+      return;
+    }
+
+    // Also kept while the first parse runs, the edits then apply to its tree
+    this.#edits.push(edit);
+    this.#timer ??= setTimeout(() => this.#parseInWorker(), this.#delay);
+  }
+
+  /**
+   * Stop tracking the file and free the tree
+   */
+  destroy() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    this.session?.off('change', this.#onChange);
+    this.#clearLayers();
+    this.#tree?.delete();
+    this.#tree = null;
+    this.#dirty = false;
+    this.#freeRemote();
+    this.emit('destroy', this);
+    this.removeAllListeners();
+  }
+
+  /**
+   * Convert an Ace change delta into a tree-sitter edit.
+   * Ace emits the delta after applying it, so offsets are computed
+   * against the updated document.
+   * @param {Object} delta - Ace change delta
+   * @param {Object} doc - Ace document the delta was applied to
+   * @returns {Object} Tree-sitter edit
+   */
+  static deltaToEdit(delta, doc) {
+    const { start, end } = delta;
+    const startIndex = doc.positionToIndex(start);
+    const length = delta.lines.join(doc.getNewLineCharacter()).length;
+    const startPosition = { row: start.row, column: start.column };
+    const endPosition = { row: end.row, column: end.column };
+
+    if (delta.action === 'insert') {
+      return {
+        startIndex,
+        oldEndIndex: startIndex,
+        newEndIndex: startIndex + length,
+        startPosition,
+        oldEndPosition: startPosition,
+        newEndPosition: endPosition
+      };
+    }
+
+    return {
+      startIndex,
+      oldEndIndex: startIndex + length,
+      newEndIndex: startIndex,
+      startPosition,
+      oldEndPosition: endPosition,
+      newEndPosition: startPosition
+    };
+  }
+}
+
+/**
+ * Get the range of a whole tree
+ * @param {Node|Object} rootNode - Root node, or a serialized one from the parse worker
+ * @returns {Object} Range with indices and positions
+ */
+function getFullRange(rootNode) {
+  return {
+    startIndex: 0,
+    endIndex: rootNode.endIndex,
+    startPosition: { row: 0, column: 0 },
+    endPosition: rootNode.endPosition
+  };
+}
+
+/**
+ * Move a range of a text to the same text after an edit. A bound inside the edited text
+ * moves to the start of the edit, or to its new end for the end of the range.
+ * @param {Object} range - Range with indices and positions
+ * @param {Object} edit - tree-sitter edit
+ * @returns {Object} Moved range
+ */
+function shiftRange(range, edit) {
+  const move = (index, position, isEnd) => {
+    if (index < edit.startIndex || (index === edit.startIndex && !isEnd)) return [index, position];
+    if (index < edit.oldEndIndex) {
+      return isEnd ? [edit.newEndIndex, edit.newEndPosition] : [edit.startIndex, edit.startPosition];
+    }
+
+    const { oldEndPosition: oldEnd, newEndPosition: newEnd } = edit;
+    const moved =
+      position.row === oldEnd.row
+        ? { row: newEnd.row, column: newEnd.column + position.column - oldEnd.column }
+        : { row: position.row + newEnd.row - oldEnd.row, column: position.column };
+    return [index + edit.newEndIndex - edit.oldEndIndex, moved];
+  };
+
+  const [startIndex, startPosition] = move(range.startIndex, range.startPosition, false);
+  const [endIndex, endPosition] = move(range.endIndex, range.endPosition, true);
+  return { startIndex, endIndex, startPosition, endPosition };
+}
@@ -0,0 +1,290 @@
+import EventEmitter from 'eventemitter3';
+
+const { Range } = ace.require('ace/range');
+
+export default class FoldingProvider extends EventEmitter {
+  #document;
+  #query;
+  #folds = null;
+  #edited = null;
+  #foldMode;
+  #onTreeChanged;
+  #onChange;
+  #onChangeMode;
+  #onDestroy;
+
+  /**
+   * Provide Ace fold widgets for an attached document
+   * @param {TreeDocument} document - Attached document
+   * @param {Query|null} query - Compiled folds query, multi-line named nodes are folded when null
+   */
+  constructor(document, query = null) {
+    super();
+    this.#document = document;
+    this.#query = query?.retain() || null;
+
+    this.#foldMode = {
+      getFoldWidget: (session, foldStyle, row) => (this.getFoldRange(row) ? 'start' : ''),
+      getFoldWidgetRange: (session, foldStyle, row) => {
+        const fold = this.getFoldRange(row);
+        return fold && new Range(fold.start.row, fold.start.column, fold.end.row, fold.end.column);
+      }
+    };
+
+    this.#onTreeChanged = ({ changedRanges }) => this.#invalidate(changedRanges);
+    this.#onChange = delta => this.#shift(delta);
+    // Ace resets the folding rules to the mode's ones on every mode change
+    this.#onChangeMode = () => this.session.$setFolding(this.#foldMode);
+    this.#onDestroy = () => this.destroy();
+
+    document.on('tree-changed', this.#onTreeChanged);
+    document.on('destroy', this.#onDestroy);
+    this.session.$setFolding(this.#foldMode);
+    this.session.on('change', this.#onChange);
+    this.session.on('changeMode', this.#onChangeMode);
+  }
+
+  /**
+   * Get the document providing the folds
+   */
+  get document() {
+    return this.#document;
+  }
+
+  /**
+   * Get the Ace session of the document
+   */
+  get session() {
+    return this.#document.session;
+  }
+
+  /**
+   * Get all fold ranges, one per start row
+   * @returns {Array<{start: Object, end: Object}>} Ranges from the end of the start row
+   */
+  getFoldRanges() {
+    return [...this.#getFolds().keys()].sort((a, b) => a - b).map(row => this.getFoldRange(row));
+  }
+
+  /**
+   * Get the fold range starting at a row
+   * @param {number} row - Start row
+   * @returns {{start: Object, end: Object}|null} Range from the end of the row, or null if nothing folds there
+   */
+  getFoldRange(row) {
+    const end = this.#getFolds().get(row);
+    return end ? { start: { row, column: this.session.getLine(row).length }, end: { ...end } } : null;
+  }
+
+  /**
+   * Get the fold ends by start row, computing them for the whole tree the first time
+   * @returns {Map<number, Object>} Fold end positions
+   * @private
+   */
+  #getFolds() {
+    if (this.#folds) return this.#folds;
+
+    const root = this.#document.tree?.rootNode;
+    if (!root) return new Map();
+
+    this.#folds = new Map();
+    this.#edited = null;
+    this.#addFolds(root, 0, root.endPosition.row);
+    return this.#folds;
+  }
+
+  /**
+   * Add the folds of the nodes overlapping some rows, keeping the largest one per start row
+   * @param {Node} root - Root node
+   * @param {number} first - First row
+   * @param {number} last - Last row
+   * @returns {number[]} Start rows of the added folds
+   * @private
+   */
+  #addFolds(root, first, last) {
+    const range = { startPosition: { row: first, column: 0 }, endPosition: { row: last + 1, column: 0 } };
+    const nodes = this.#query
+      ? this.#query
+          .captures(root, range)
+          .filter(({ name }) => name === 'fold')
+          .map(({ node }) => node)
+      : getMultilineNodes(root, first, last);
+
+    const rows = [];
+    for (const node of nodes) {
+      const start = node.startPosition.row;
+      const end = getFoldEnd(node, this.session.getLine(node.endPosition.row));
+      if (end.row <= start || this.#folds.get(start)?.row >= end.row) continue;
+
+      this.#folds.set(start, end);
+      rows.push(start);
+    }
+    return rows;
+  }
+
+  /**
+   * Move the folds below an Ace change, as Ace does with its fold widgets,
+   * and remember the edited rows until the next reparse
+   * @param {Object} delta - Ace change delta
+   * @private
+   */
+  #shift({ action, start, end }) {
+    const count = end.row - start.row;
+    const moveRow = row => {
+      if (action === 'insert') return row > start.row ? row + count : row;
+      if (row > end.row) return row - count;
+      return Math.min(row, start.row);
+    };
+
+    if (this.#edited) {
+      this.#edited = { first: moveRow(this.#edited.first), last: moveRow(this.#edited.last) };
+    }
+    const last = action === 'insert' ? end.row : start.row;
+    this.#edited = {
+      first: Math.min(this.#edited?.first ?? start.row, start.row),
+      last: Math.max(this.#edited?.last ?? last, last)
+    };
+
+    if (!this.#folds || !count) return;
+    const folds = new Map();
+    for (const [row, foldEnd] of this.#folds) {
+      // Folds starting on removed rows are found again on reparse if their node remains
+      if (action === 'remove' && row > start.row && row <= end.row) continue;
+      folds.set(moveRow(row), { row: moveRow(foldEnd.row), column: foldEnd.column });
+    }
+    this.#folds = folds;
+  }
+
+  /**
+   * Recompute the folds overlapping the rows changed by a reparse and refresh their fold widgets
+   * @param {Array<Object>} ranges - Changed ranges from the tree
+   * @private
+   */
+  #invalidate(ranges) {
+    const edited = this.#edited;
+    this.#edited = null;
+    if (!this.#folds) return;
+
+    const spans = ranges.map(({ startPosition, endPosition }) => ({
+      first: startPosition.row,
+      last: endPosition.row
+    }));
+    // Changed ranges leave out edits that keep the syntax, which still move fold ends and closing tokens
+    if (edited) spans.push(edited);
+    if (!spans.length) return;
+
+    const root = this.#document.tree.rootNode;
+    const rows = [];
+    for (const { first, last } of mergeSpans(spans)) {
+      for (const [row, end] of this.#folds) {
+        if (row > last || end.row < first) continue;
+        this.#folds.delete(row);
+        rows.push(row);
+      }
+      for (let row = first; row <= last; row++) rows.push(row);
+      rows.push(...this.#addFolds(root, first, last));
+    }
+
+    const session = this.session;
+    if (!session.foldWidgets || session.$foldMode !== this.#foldMode) return;
+
+    // Widgets are recomputed lazily for the rows being rendered
+    for (const row of rows) session.foldWidgets[row] = null;
+    session._signal('changeAnnotation');
+  }
+
+  /**
+   * Stop providing folds
+   * @param {boolean} restoreFolding - Switch the session back to the folding rules of its Ace mode
+   */
+  destroy(restoreFolding = true) {
+    if (!this.#document) return;
+
+    const document = this.#document;
+    document.off('tree-changed', this.#onTreeChanged);
+    document.off('destroy', this.#onDestroy);
+
+    const session = this.session;
+    session?.off('change', this.#onChange);
+    session?.off('changeMode', this.#onChangeMode);
+    if (restoreFolding && session?.$foldMode === this.#foldMode) {
+      session.$setFolding(session.getMode().foldingRules);
+    }
+
+    this.#document = null;
+    this.#query?.release();
+    this.#folds = null;
+    this.#edited = null;
+    this.emit('destroy', this, document);
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Merge overlapping or adjacent row spans
+ * @param {Array<{first: number, last: number}>} spans - Row spans
+ * @returns {Array<{first: number, last: number}>} Sorted spans
+ */
+function mergeSpans(spans) {
+  const merged = [];
+  for (const span of [...spans].sort((a, b) => a.first - b.first)) {
+    const previous = merged[merged.length - 1];
+    if (previous && span.first <= previous.last + 1) previous.last = Math.max(previous.last, span.last);
+    else merged.push({ ...span });
+  }
+  return merged;
+}
+
+/**
+ * Get the named nodes spanning several rows, used when a language has no folds query
+ * @param {Node} root - Root node
+ * @param {number} first - Only nodes overlapping this row or the following ones
+ * @param {number} last - Only nodes overlapping this row or the previous ones
+ * @returns {Node[]} Multi-line nodes below the root
+ */
+function getMultilineNodes(root, first, last) {
+  const nodes = [];
+  const cursor = root.walk();
+
+  let visiting = cursor.gotoFirstChild();
+  while (visiting) {
+    const node = cursor.currentNode;
+    const isMultiline = node.endPosition.row > node.startPosition.row;
+    const isOverlapping = node.startPosition.row <= last && node.endPosition.row >= first;
+    if (isOverlapping && isMultiline && node.isNamed && node.type !== 'ERROR') nodes.push(node);
+
+    if (isOverlapping && isMultiline && cursor.gotoFirstChild()) continue;
+    while (!cursor.gotoNextSibling()) {
+      if (!cursor.gotoParent() || cursor.currentNode.id === root.id) {
+        visiting = false;
+        break;
+      }
+    }
+  }
+
+  cursor.delete();
+  return nodes;
+}
+
+/**
+ * Get where a fold ends, keeping a closing token that starts the last row
+ * (e.g. `}`, `</div>` or `end`) visible
+ * @param {Node} node - Folded node
+ * @param {string} lastLine - Text of the node's last row
+ * @returns {{row: number, column: number}} End position
+ */
+function getFoldEnd(node, lastLine) {
+  const row = node.endPosition.row;
+  const column = lastLine.search(/\S/);
+  if (column < 0 || row === node.startPosition.row) return node.endPosition;
+
+  const leaf = node.descendantForPosition({ row, column });
+  const isClosing =
+    !leaf.isNamed &&
+    !leaf.childCount &&
+    leaf.startPosition.row === row &&
+    leaf.startPosition.column === column &&
+    (!/^\w/.test(leaf.type) || /^(end|fi|done|esac)/.test(leaf.type));
+
+  return isClosing ? leaf.startPosition : node.endPosition;
+}
@@ -0,0 +1,368 @@
+import EventEmitter from 'eventemitter3';
+
+/**
+ * Default capture name to Ace token class table.
+ * Capture names are looked up from the most to the least specific,
+ * so `@function.method.call` falls back to `function.method` then `function`.
+ */
+export const CAPTURE_CLASSES = {
+  attribute: 'entity.other.attribute-name',
+  boolean: 'constant.language.boolean',
+  character: 'constant.character',
+  comment: 'comment',
+  'comment.documentation': 'comment.doc',
+  constant: 'constant',
+  'constant.builtin': 'constant.language',
+  constructor: 'entity.name.type',
+  embedded: 'text',
+  escape: 'constant.language.escape',
+  function: 'entity.name.function',
+  'function.builtin': 'support.function',
+  'function.call': 'entity.name.function',
+  'function.method': 'entity.name.function',
+  keyword: 'keyword',
+  'keyword.operator': 'keyword.operator',
+  label: 'entity.name.tag',
+  module: 'entity.name.type',
+  namespace: 'entity.name.type',
+  number: 'constant.numeric',
+  'number.float': 'constant.numeric',
+  operator: 'keyword.operator',
+  property: 'variable.other.property',
+  punctuation: 'punctuation',
+  'punctuation.bracket': 'paren',
+  'punctuation.delimiter': 'punctuation.operator',
+  'punctuation.special': 'punctuation.operator',
+  string: 'string',
+  'string.escape': 'constant.language.escape',
+  'string.regex': 'string.regexp',
+  'string.regexp': 'string.regexp',
+  'string.special': 'string',
+  tag: 'meta.tag.tag-name',
+  type: 'storage.type',
+  'type.builtin': 'support.type',
+  variable: 'identifier',
+  'variable.builtin': 'variable.language',
+  'variable.parameter': 'variable.parameter'
+};
+
+export default class Highlighter extends EventEmitter {
+  #document;
+  #query;
+  #classes;
+  #classCache = new Map();
+  #stockMode;
+  #mode;
+  #tokenizer;
+  #pendingRows = new Set();
+  #flushQueued = false;
+  #onTreeChanged;
+  #onChangeMode;
+  #onDestroy;
+
+  /**
+   * Highlight an attached document with a highlights query
+   * @param {TreeDocument} document - Attached document
+   * @param {Query} query - Compiled highlights query
+   * @param {Object} options - Optional parameters
+   * @param {Object} options.captureClasses - Capture name to Ace token class overrides
+   */
+  constructor(document, query, options = {}) {
+    super();
+    this.#document = document;
+    // Kept alive if the memory budget frees the language while highlighting
+    this.#query = query.retain();
+    this.#classes = new Map(Object.entries({ ...CAPTURE_CLASSES, ...options.captureClasses }));
+    this.#stockMode = document.session.getMode();
+
+    const stockTokenizer = this.#stockMode.getTokenizer();
+    this.#tokenizer = {
+      getLineTokens: (line, state, row) => {
+        // Modes also tokenize detached lines (e.g. for indentation), without a row
+        if (row === undefined) return stockTokenizer.getLineTokens(line, state);
+        if (!this.#document.worker) return { tokens: this.getRowTokens(row, line), state: 'start' };
+
+        // Stock tokens until the worker answers, the row is then repainted
+        const { tokens } = stockTokenizer.getLineTokens(line, 'start');
+        tokens.pending = true;
+        this.#request([row]);
+        return { tokens, state: 'start' };
+      }
+    };
+
+    this.#mode = Object.create(this.#stockMode);
+    this.#mode.$tokenizer = this.#tokenizer;
+    this.#mode.getTokenizer = () => this.#tokenizer;
+
+    this.#onTreeChanged = ({ changedRanges }) => {
+      if (this.#document.worker) this.#refetch(changedRanges);
+      else this.#invalidate(changedRanges);
+    };
+    // Modes deriving from ours (e.g. tree-sitter indentation) keep the highlighting
+    this.#onChangeMode = () => {
+      if (!this.#isOwnMode(this.session.getMode())) this.destroy(false);
+    };
+    this.#onDestroy = () => this.destroy();
+
+    document.on('tree-changed', this.#onTreeChanged);
+    document.on('destroy', this.#onDestroy);
+    this.session.setMode(this.#mode);
+    this.session.on('changeMode', this.#onChangeMode);
+  }
+
+  /**
+   * Get the highlighted document
+   */
+  get document() {
+    return this.#document;
+  }
+
+  /**
+   * Get the Ace session of the highlighted document
+   */
+  get session() {
+    return this.#document.session;
+  }
+
+  /**
+   * Get the Ace mode that was active before highlighting
+   */
+  get stockMode() {
+    return this.#stockMode;
+  }
+
+  /**
+   * Get the Ace token class for a capture name
+   * @param {string} name - Capture name without `@`
+   * @returns {string|null} Ace token class, or null if the capture is not highlighted
+   */
+  getCaptureClass(name) {
+    if (this.#classCache.has(name)) return this.#classCache.get(name);
+
+    let cls = null;
+    if (!name.startsWith('_')) {
+      for (let key = name; key; key = key.slice(0, Math.max(key.lastIndexOf('.'), 0))) {
+        if (this.#classes.has(key)) {
+          cls = this.#classes.get(key);
+          break;
+        }
+      }
+    }
+
+    this.#classCache.set(name, cls);
+    return cls;
+  }
+
+  /**
+   * Build Ace tokens for a row from the highlights captures
+   * @param {number} row - Row to tokenize
+   * @param {string} line - Text of the row
+   * @returns {Array<{type: string, value: string}>} Ace tokens
+   */
+  getRowTokens(row, line = this.session.getLine(row)) {
+    if (!line.length) return [];
+
+    const captures = this.#query.captures(this.#document.tree.rootNode, {
+      startPosition: { row, column: 0 },
+      endPosition: { row: row + 1, column: 0 }
+    });
+    return this.#paint(row, line, captures);
+  }
+
+  /**
+   * Build Ace tokens for a row from captures overlapping it
+   * @param {number} row - Row to tokenize
+   * @param {string} line - Text of the row
+   * @param {Array<Object>} captures - Captures, with nodes or nodes serialized by the parse worker
+   * @returns {Array<{type: string, value: string}>} Ace tokens
+   * @private
+   */
+  #paint(row, line, captures) {
+    if (!line.length) return [];
+
+    const types = new Array(line.length).fill('text');
+    captures = captures
+      // Paint enclosing nodes first; for the same node, later patterns win
+      .sort(
+        (a, b) =>
+          b.node.endIndex - b.node.startIndex - (a.node.endIndex - a.node.startIndex) ||
+          a.patternIndex - b.patternIndex
+      );
+
+    for (const { name, node } of captures) {
+      if (node.startPosition.row > row || node.endPosition.row < row) continue;
+      const cls = name === 'none' ? 'text' : this.getCaptureClass(name);
+      if (!cls) continue;
+
+      const start = node.startPosition.row < row ? 0 : node.startPosition.column;
+      const end = node.endPosition.row > row ? line.length : node.endPosition.column;
+      types.fill(cls, start, end);
+    }
+
+    const tokens = [];
+    for (let i = 0; i < line.length; i++) {
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === types[i]) {
+        last.value += line[i];
+      } else {
+        tokens.push({ type: types[i], value: line[i] });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Drop cached tokens of rows whose syntax changed
+   * @param {Array<Object>} ranges - Changed ranges from the tree
+   * @private
+   */
+  #invalidate(ranges) {
+    const bgTokenizer = this.session.bgTokenizer;
+    if (!ranges.length || !bgTokenizer) return;
+
+    let first = Infinity;
+    let last = -1;
+    for (const { startPosition, endPosition } of ranges) {
+      for (let row = startPosition.row; row <= endPosition.row; row++) {
+        bgTokenizer.lines[row] = null;
+      }
+      first = Math.min(first, startPosition.row);
+      last = Math.max(last, endPosition.row);
+    }
+
+    bgTokenizer.fireUpdateEvent(first, last);
+  }
+
+  /**
+   * Fetch the tokens of changed rows from the parse worker. Rows keep their tokens until then,
+   * rows without tokens are fetched when Ace tokenizes them.
+   * Tokens waiting for the worker are marked `pending`: Ace moves them with their rows on edits,
+   * so the rows are found again here if the text changed before the worker answered.
+   * @param {Array<Object>} ranges - Changed ranges from the worker's tree
+   * @private
+   */
+  #refetch(ranges) {
+    const lines = this.session.bgTokenizer?.lines || [];
+    for (const { startPosition, endPosition } of ranges) {
+      for (let row = startPosition.row; row <= endPosition.row; row++) {
+        if (lines[row]) lines[row].pending = true;
+      }
+    }
+
+    this.#pendingRows.clear();
+    const rows = [];
+    lines.forEach((tokens, row) => tokens?.pending && rows.push(row));
+    this.#request(rows);
+  }
+
+  /**
+   * Queue rows to fetch from the parse worker, in one batch per microtask
+   * @param {Array<number>} rows - Rows to tokenize
+   * @private
+   */
+  #request(rows) {
+    for (const row of rows) this.#pendingRows.add(row);
+    if (this.#flushQueued) return;
+
+    this.#flushQueued = true;
+    queueMicrotask(() => {
+      this.#flushQueued = false;
+      this.#flush();
+    });
+  }
+
+  /**
+   * Fetch the captures of the queued rows once the worker's tree matches the text,
+   * otherwise they are fetched on the next `tree-changed`
+   * @private
+   */
+  #flush() {
+    const document = this.#document;
+    if (!document?.worker || !this.#pendingRows.size) return;
+    if (!document.remoteTree || !document.isRemoteCurrent) return;
+
+    const rows = [...this.#pendingRows].sort((a, b) => a - b);
+    this.#pendingRows.clear();
+    // One request per run of consecutive rows
+    for (let i = 0, start = 0; i < rows.length; i++) {
+      if (rows[i + 1] === rows[i] + 1) continue;
+      this.#fetch(document, rows.slice(start, i + 1));
+      start = i + 1;
+    }
+  }
+
+  /**
+   * Fetch the captures of consecutive rows and store their tokens in Ace's cache
+   * @param {TreeDocument} document - Highlighted document
+   * @param {Array<number>} rows - Consecutive rows
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #fetch(document, rows) {
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    const version = document.version;
+
+    let captures;
+    try {
+      captures = await document.remoteTree.captures(this.#query.source, {
+        name: this.#query.name,
+        startPosition: { row: first, column: 0 },
+        endPosition: { row: last + 1, column: 0 }
+      });
+    } catch (error) {
+      if (this.#document !== document) return;
+      // Parsed in this thread from now on if the worker failed
+      if (!document.worker) this.#invalidate([{ startPosition: { row: first }, endPosition: { row: last } }]);
+      else console.error(`Highlighting failed for ${document.file.filename}:`, error.message);
+      return;
+    }
+
+    // Edited meanwhile, the pending tokens are fetched again on the next tree-changed
+    if (this.#document !== document || document.version !== version) return;
+
+    const bgTokenizer = this.session.bgTokenizer;
+    if (!bgTokenizer) return;
+    for (const row of rows) {
+      const rowCaptures = captures.filter(
+        ({ node }) => node.startPosition.row <= row && node.endPosition.row >= row
+      );
+      bgTokenizer.lines[row] = this.#paint(row, this.session.getLine(row), rowCaptures);
+    }
+    bgTokenizer.fireUpdateEvent(first, last);
+  }
+
+  /**
+   * Check if a mode is the highlighting mode or derives from it
+   * @param {Object} mode - Ace mode
+   * @returns {boolean}
+   * @private
+   */
+  #isOwnMode(mode) {
+    return !!mode && (mode === this.#mode || this.#mode.isPrototypeOf(mode));
+  }
+
+  /**
+   * Stop highlighting
+   * @param {boolean} restoreMode - Switch the session back to the stock Ace mode
+   */
+  destroy(restoreMode = true) {
+    if (!this.#document) return;
+
+    const document = this.#document;
+    document.off('tree-changed', this.#onTreeChanged);
+    document.off('destroy', this.#onDestroy);
+    this.session?.off('changeMode', this.#onChangeMode);
+
+    if (restoreMode && this.#isOwnMode(this.session?.getMode())) {
+      this.session.setMode(this.#stockMode);
+    }
+
+    this.#document = null;
+    this.#pendingRows.clear();
+    this.#query.release();
+    this.emit('destroy', this, document);
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,434 @@
+import EventEmitter from 'eventemitter3';
+
+const { Range } = ace.require('ace/range');
+
+/**
+ * Capture names of indents.scm, with the names used by older nvim-treesitter queries
+ */
+const CAPTURE_KINDS = {
+  'indent.begin': 'begin',
+  indent: 'begin',
+  'indent.end': 'end',
+  indent_end: 'end',
+  'indent.align': 'align',
+  aligned_indent: 'align',
+  'indent.dedent': 'dedent',
+  dedent: 'dedent',
+  'indent.branch': 'branch',
+  branch: 'branch',
+  'indent.ignore': 'ignore',
+  ignore: 'ignore',
+  'indent.auto': 'auto',
+  auto: 'auto',
+  'indent.zero': 'zero',
+  zero_indent: 'zero'
+};
+
+/**
+ * Characters typed on a blank line that may change its indentation
+ */
+const OUTDENT_INPUT = /^[)\]}]$/;
+
+/**
+ * Compute the indentation of a row from the captures of an indents query,
+ * following the semantics of nvim-treesitter's indents.scm
+ * @param {Node} root - Root node of the tree holding the row
+ * @param {Query} query - Compiled indents query
+ * @param {Document} doc - Ace document of the tree
+ * @param {number} row - Row to indent
+ * @param {Object} options - Indentation settings
+ * @param {number} options.indentSize - Columns per indentation level
+ * @param {number} options.tabSize - Columns per tab character (default `indentSize`)
+ * @param {number} options.baseIndent - Indentation of the tree, for injected layers (default 0)
+ * @returns {number|null} Indentation in columns, or null to keep the current one
+ */
+export function computeIndent(root, query, doc, row, options) {
+  const { indentSize, tabSize = indentSize, baseIndent = 0 } = options;
+  const line = doc.getLine(row);
+
+  let prevRow = row;
+  if (!line.trim()) {
+    do prevRow--;
+    while (prevRow >= 0 && !doc.getLine(prevRow).trim());
+    if (prevRow < 0) return baseIndent;
+  }
+
+  // Whole rows, as web-tree-sitter passes offsets and columns to queries as UTF-16 bytes
+  const captures = getCaptures(query, root, {
+    startPosition: { row: prevRow, column: 0 },
+    endPosition: { row: row + 1, column: 0 }
+  });
+  const get = (kind, node) => captures[kind].get(node.id);
+  const nodeAt = (r, column) => root.descendantForPosition({ row: r, column });
+
+  let node;
+  if (prevRow < row) {
+    // A blank row continues the last node of the previous one, ignoring a trailing comment
+    const prevLine = doc.getLine(prevRow);
+    node = nodeAt(prevRow, prevLine.trimEnd().length - 1);
+    if (node.type.includes('comment') && node.startPosition.row === prevRow) {
+      const first = nodeAt(prevRow, prevLine.search(/\S/));
+      const code = prevLine.slice(0, node.startPosition.column).trimEnd();
+      if (first.id !== node.id && code.trim()) node = nodeAt(prevRow, code.length - 1);
+    }
+    if (get('end', node)) node = nodeAt(row, line.length);
+  } else {
+    node = nodeAt(row, line.search(/\S/));
+  }
+
+  if (get('zero', node)) return 0;
+
+  let indent = baseIndent;
+  const processedRows = new Set();
+
+  for (; node; node = node.parent) {
+    const startRow = node.startPosition.row;
+    const endRow = node.endPosition.row;
+    const begin = get('begin', node);
+    let align = get('align', node);
+    const encloses = startRow < row && row <= endRow;
+
+    if (!begin && !align && get('auto', node) && encloses) return null;
+    if (!begin && get('ignore', node) && encloses) return null;
+
+    let processed = false;
+    const shouldProcess = !processedRows.has(startRow);
+
+    if (
+      shouldProcess &&
+      ((get('branch', node) && startRow === row) || (get('dedent', node) && startRow !== row))
+    ) {
+      indent -= indentSize;
+      processed = true;
+    }
+
+    const inError = shouldProcess && !!node.parent?.hasError;
+    if (
+      shouldProcess &&
+      begin &&
+      (startRow !== endRow || inError || 'indent.immediate' in begin) &&
+      (startRow !== row || 'indent.start_at_same_line' in begin)
+    ) {
+      indent += indentSize;
+      processed = true;
+    }
+
+    // An error node takes the alignment of its first aligned child, as it cannot be captured itself
+    if (inError && !align) {
+      align = node.children.map(child => get('align', child)).find(Boolean);
+    }
+
+    if (shouldProcess && align && (startRow !== endRow || inError) && startRow !== row) {
+      const open = align['indent.open_delimiter']
+        ? findDelimiter(node, align['indent.open_delimiter'], doc)
+        : { node, isLast: false };
+      const close = align['indent.close_delimiter']
+        ? findDelimiter(node, align['indent.close_delimiter'], doc)
+        : { node, isLast: false };
+
+      if (open) {
+        const openRow = open.node.startPosition.row;
+        const closeRow = close?.node.startPosition.row;
+        let isAbsolute = false;
+
+        if (open.isLast) {
+          // Hanging indent, the delimiter ends its row
+          indent += indentSize;
+          if (close?.isLast && closeRow < row) indent = Math.max(indent - indentSize, 0);
+        } else if (close?.isLast && closeRow !== openRow && closeRow < row) {
+          indent = Math.max(indent - indentSize, 0);
+        } else {
+          const column = getWidth(doc.getLine(openRow), open.node.startPosition.column, tabSize);
+          indent = column + Number(align['indent.increment'] ?? 1);
+          isAbsolute = true;
+        }
+
+        // e.g. the last row of parameters is indented further than the body that follows
+        const isLastRow = closeRow !== undefined && closeRow !== openRow && closeRow === row;
+        if (isLastRow && 'indent.avoid_last_matching_next' in align) {
+          const openLine = doc.getLine(openRow);
+          if (indent <= getWidth(openLine, openLine.search(/\S|$/), tabSize) + indentSize) indent += indentSize;
+        }
+
+        processed = true;
+        if (isAbsolute) return indent;
+      }
+    }
+
+    if (processed) processedRows.add(startRow);
+  }
+
+  return Math.max(indent, 0);
+}
+
+export default class IndentProvider extends EventEmitter {
+  #document;
+  #getQuery;
+  #mode = null;
+  #onChangeMode;
+  #onDestroy;
+
+  /**
+   * Indent an attached document from indents.scm, when pressing Enter, typing a closing bracket
+   * or reindenting. Injected layers are indented with the query of their language.
+   * @param {TreeDocument} document - Attached document
+   * @param {Function} getQuery - Get the compiled indents query of a language, null if it has none
+   */
+  constructor(document, getQuery) {
+    super();
+    this.#document = document;
+    this.#getQuery = getQuery;
+
+    // Another mode (e.g. a new syntax chosen by the user) is wrapped again, modes derived from ours are kept
+    this.#onChangeMode = () => {
+      const mode = this.session.getMode();
+      if (mode !== this.#mode && !this.#mode.isPrototypeOf(mode)) this.#wrapMode();
+    };
+    this.#onDestroy = () => this.destroy();
+
+    document.on('destroy', this.#onDestroy);
+    this.#wrapMode();
+    this.session.on('changeMode', this.#onChangeMode);
+  }
+
+  /**
+   * Get the indented document
+   */
+  get document() {
+    return this.#document;
+  }
+
+  /**
+   * Get the Ace session of the indented document
+   */
+  get session() {
+    return this.#document.session;
+  }
+
+  /**
+   * Compute the indentation of a row, reparsing pending edits first
+   * @param {number} row - Document row
+   * @returns {number|null} Indentation in columns, or null if the row should keep its indentation
+   * or its language has no indents query
+   */
+  getIndent(row) {
+    if (!this.#document) return null;
+    // The document reparses after a delay, but Enter and typed brackets need the text as it is now
+    if (this.#document.isDirty) this.#document.parse();
+    if (!this.#document.tree) return null;
+
+    const session = this.session;
+    const doc = session.getDocument();
+
+    // Blank rows are indented by the tree around the end of the previous non-blank row
+    let position = { row, column: doc.getLine(row).search(/\S/) };
+    if (position.column < 0) {
+      let prevRow = row - 1;
+      while (prevRow >= 0 && !doc.getLine(prevRow).trim()) prevRow--;
+      position = prevRow < 0
+        ? { row, column: 0 }
+        : { row: prevRow, column: doc.getLine(prevRow).trimEnd().length - 1 };
+    }
+
+    // A layer range ends where the host code starts again, e.g. at `</script>`
+    const index = doc.positionToIndex(position);
+    let layer = this.#document.layerAt(position);
+    while (layer && !getRangeAt(layer, index)) layer = layer.parent;
+
+    const query = this.#getQuery(layer?.lang || this.#document.lang);
+    if (!query) return null;
+
+    const tabSize = session.getTabSize();
+    return computeIndent((layer?.tree || this.#document.tree).rootNode, query, doc, row, {
+      indentSize: tabSize,
+      tabSize,
+      baseIndent: layer ? getBaseIndent(getRangeAt(layer, index), doc, tabSize) : 0
+    });
+  }
+
+  /**
+   * Reindent rows, skipping blank rows and rows the query leaves alone
+   * @param {number} startRow - First row
+   * @param {number} endRow - Last row, included
+   * @returns {number} Number of rows changed
+   */
+  reindent(startRow, endRow = startRow) {
+    let changed = 0;
+    for (let row = startRow; row <= endRow; row++) {
+      if (this.#reindentRow(row)) changed++;
+    }
+    return changed;
+  }
+
+  /**
+   * Reindent a row. `getIndent()` reparses the change of a row before the next row is computed,
+   * as aligned rows depend on the rows above them.
+   * @param {number} row - Document row
+   * @returns {boolean|null} True if the row changed, null if its indentation cannot be computed
+   * @private
+   */
+  #reindentRow(row) {
+    const line = this.session.getLine(row);
+    if (!line.trim()) return false;
+
+    const indent = this.getIndent(row);
+    if (indent === null) return null;
+
+    const current = line.match(/^\s*/)[0];
+    const next = this.#getIndentString(indent);
+    if (current === next) return false;
+
+    this.session.replace(new Range(row, 0, row, current.length), next);
+    return true;
+  }
+
+  /**
+   * Get the indentation of the row Ace just inserted after a line break
+   * @param {string} line - Text before the cursor when Enter was pressed
+   * @returns {string|null} Indentation, or null to let the Ace mode decide
+   * @private
+   */
+  #getNextLineIndent(line) {
+    if (!this.#document) return null;
+
+    // Ace asks after inserting the line break, the cursor starts the new row
+    const { row } = this.session.selection.getCursor();
+    if (row === 0 || this.session.getLine(row - 1) !== line) return null;
+
+    const indent = this.getIndent(row);
+    return indent === null ? null : this.#getIndentString(indent);
+  }
+
+  /**
+   * Build the indentation string of the session, with tabs unless soft tabs are used
+   * @param {number} columns - Indentation in columns
+   * @returns {string} Indentation
+   * @private
+   */
+  #getIndentString(columns) {
+    const session = this.session;
+    if (session.getUseSoftTabs()) return ' '.repeat(columns);
+
+    const tabSize = session.getTabSize();
+    return '\t'.repeat(Math.floor(columns / tabSize)) + ' '.repeat(columns % tabSize);
+  }
+
+  /**
+   * Switch the session to a mode deriving from the current one, with tree-sitter indentation
+   * @private
+   */
+  #wrapMode() {
+    const session = this.session;
+    const base = session.getMode();
+    const mode = Object.create(base);
+
+    // The wrapped mode decides after the provider is destroyed, or when the query has nothing to say
+    mode.getNextLineIndent = (state, line, tab) =>
+      this.#getNextLineIndent(line) ?? base.getNextLineIndent(state, line, tab);
+    mode.checkOutdent = (state, line, input) =>
+      (!!this.#document && !line.trim() && OUTDENT_INPUT.test(input)) || base.checkOutdent(state, line, input);
+    mode.autoOutdent = (state, target, row) => {
+      if (!this.#document || this.#reindentRow(row) === null) base.autoOutdent(state, target, row);
+    };
+
+    this.#mode = mode;
+    session.setMode(mode);
+  }
+
+  /**
+   * Stop indenting
+   * @param {boolean} restoreMode - Switch the session back to the mode that was wrapped
+   */
+  destroy(restoreMode = true) {
+    if (!this.#document) return;
+
+    const document = this.#document;
+    document.off('destroy', this.#onDestroy);
+
+    const session = this.session;
+    session?.off('changeMode', this.#onChangeMode);
+    // A mode deriving from ours (e.g. a highlighter enabled later) is kept, ours then defers to the wrapped mode
+    if (restoreMode && session?.getMode() === this.#mode) {
+      session.setMode(Object.getPrototypeOf(this.#mode));
+    }
+
+    this.#document = null;
+    this.emit('destroy', this, document);
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Get the captures of an indents query by kind, as node id to `#set!` properties
+ * @param {Query} query - Compiled indents query
+ * @param {Node} root - Root node
+ * @param {Object} options - Query options, e.g. `{ startPosition, endPosition }`
+ * @returns {Object<string, Map<number, Object>>} Captured nodes per kind
+ */
+function getCaptures(query, root, options) {
+  const captures = {};
+  for (const kind of new Set(Object.values(CAPTURE_KINDS))) captures[kind] = new Map();
+
+  for (const { name, node, setProperties } of query.captures(root, options)) {
+    const kind = CAPTURE_KINDS[name];
+    if (kind) captures[kind].set(node.id, { ...captures[kind].get(node.id), ...setProperties });
+  }
+  return captures;
+}
+
+/**
+ * Find the delimiter child of an aligned node
+ * @param {Node} node - Aligned node
+ * @param {string} delimiter - Delimiter node type, e.g. `(`
+ * @param {Document} doc - Ace document
+ * @returns {{node: Node, isLast: boolean}|null} Delimiter, and whether only whitespace or delimiters follow it
+ * on its row, or null if the node has none
+ */
+function findDelimiter(node, delimiter, doc) {
+  const child = node.children.find(candidate => candidate.type === delimiter);
+  if (!child) return null;
+
+  const rest = doc.getLine(child.startPosition.row).slice(child.endPosition.column);
+  const isLast = [...rest].every(char => /\s/.test(char) || delimiter.includes(char));
+  return { node: child, isLast };
+}
+
+/**
+ * Get the range of a layer holding an offset, excluding its end
+ * @param {InjectionLayer} layer - Injected layer
+ * @param {number} index - Document offset
+ * @returns {Object|undefined} Range
+ */
+function getRangeAt(layer, index) {
+  return layer.ranges.find(range => range.startIndex <= index && index < range.endIndex);
+}
+
+/**
+ * Get the indentation of an injected range: the column it starts at when it starts a row,
+ * otherwise one level deeper than its first row (e.g. code after `<script>`)
+ * @param {Object} range - Layer range
+ * @param {Document} doc - Ace document
+ * @param {number} tabSize - Columns per tab character
+ * @returns {number} Indentation in columns
+ */
+function getBaseIndent(range, doc, tabSize) {
+  const { row, column } = range.startPosition;
+  const line = doc.getLine(row);
+  const first = line.search(/\S|$/);
+  return column <= first ? getWidth(line, column, tabSize) : getWidth(line, first, tabSize) + tabSize;
+}
+
+/**
+ * Get the display width of the start of a line, expanding tabs
+ * @param {string} line - Line text
+ * @param {number} column - Column to measure up to
+ * @param {number} tabSize - Columns per tab character
+ * @returns {number} Width in columns
+ */
+function getWidth(line, column, tabSize) {
+  let width = 0;
+  for (const char of line.slice(0, column)) {
+    width = char === '\t' ? width + tabSize - (width % tabSize) : width + 1;
+  }
+  return width;
+}
@@ -0,0 +1,286 @@
+/**
+ * Maximum nesting of injected layers (e.g. HTML > JavaScript > HTML > CSS)
+ */
+const MAX_DEPTH = 4;
+
+/**
+ * Tree of an embedded language region, parsed with included ranges
+ */
+export class InjectionLayer {
+  #lang;
+  #tree;
+  #ranges;
+  #parent;
+  #children = [];
+
+  /**
+   * @param {string} lang - Language identifier
+   * @param {Tree} tree - Syntax tree of the region
+   * @param {Array<Object>} ranges - Ranges of the document parsed by the layer
+   * @param {InjectionLayer|null} parent - Enclosing layer, null for the document tree
+   */
+  constructor(lang, tree, ranges, parent = null) {
+    this.#lang = lang;
+    this.#tree = tree;
+    this.#ranges = ranges;
+    this.#parent = parent;
+  }
+
+  /**
+   * Get language identifier
+   */
+  get lang() {
+    return this.#lang;
+  }
+
+  /**
+   * Get the syntax tree of the layer
+   */
+  get tree() {
+    return this.#tree;
+  }
+
+  /**
+   * Get the ranges parsed by the layer
+   */
+  get ranges() {
+    return this.#ranges;
+  }
+
+  /**
+   * Get the enclosing layer, null when injected in the document tree
+   */
+  get parent() {
+    return this.#parent;
+  }
+
+  /**
+   * Get the layers injected in this layer
+   */
+  get children() {
+    return this.#children;
+  }
+
+  /**
+   * Get the nesting depth, 1 for layers injected in the document tree
+   */
+  get depth() {
+    return this.#parent ? this.#parent.depth + 1 : 1;
+  }
+
+  /**
+   * Check if an offset is inside the layer. The end of a range is included
+   * so a cursor right after the last character still belongs to the layer.
+   * @param {number} index - Offset in the document
+   * @returns {boolean}
+   */
+  contains(index) {
+    return this.#ranges.some(range => range.startIndex <= index && index <= range.endIndex);
+  }
+
+  /**
+   * Free the trees of the layer and its children
+   */
+  delete() {
+    for (const child of this.#children) child.delete();
+    this.#children = [];
+    this.#tree?.delete();
+    this.#tree = null;
+  }
+}
+
+export default class Injector {
+  #findLanguage;
+  #loadLanguage;
+  #loaded = new Map();
+  #loading = new Map();
+
+  /**
+   * Resolve and parse embedded languages from `injections.scm`
+   * @param {Object} options - Language hooks
+   * @param {Function} options.findLanguage - Map an injection language name to a language identifier, or null
+   * @param {Function} options.loadLanguage - Load a language, resolves to `{ parser, query }` where query is
+   * its compiled injections query (or null), or null if it cannot be loaded
+   */
+  constructor({ findLanguage, loadLanguage }) {
+    this.#findLanguage = findLanguage;
+    this.#loadLanguage = loadLanguage;
+  }
+
+  /**
+   * Load a language, sharing the pending promise between callers
+   * @param {string} lang - Language identifier
+   * @returns {Promise<void>}
+   */
+  async load(lang) {
+    if (this.#loaded.has(lang)) return;
+    if (!this.#loading.has(lang)) {
+      const promise = Promise.resolve(this.#loadLanguage(lang))
+        .catch(error => {
+          console.warn(`Cannot load injected language ${lang}:`, error.message);
+          return null;
+        })
+        .then(entry => {
+          // Kept alive while loaded, even if the memory budget frees the language
+          entry?.query?.retain();
+          this.#loaded.set(lang, entry);
+          this.#loading.delete(lang);
+        });
+      this.#loading.set(lang, promise);
+    }
+    return this.#loading.get(lang);
+  }
+
+  /**
+   * Forget a loaded language, e.g. after it was updated or uninstalled
+   * @param {string} lang - Language identifier, or package identifier to forget all its grammars
+   */
+  remove(lang) {
+    for (const [id, entry] of this.#loaded) {
+      if (id !== lang && id.split(':')[0] !== lang) continue;
+      entry?.query?.release();
+      this.#loaded.delete(id);
+    }
+  }
+
+  /**
+   * Forget all loaded languages
+   */
+  clear() {
+    for (const entry of this.#loaded.values()) entry?.query?.release();
+    this.#loaded.clear();
+  }
+
+  /**
+   * Parse the layers injected in a tree
+   * @param {string} text - Document text
+   * @param {string} lang - Language identifier of the tree
+   * @param {Tree} tree - Syntax tree to search for injections
+   * @param {InjectionLayer|null} parent - Layer of the tree, null for the document tree
+   * @param {string|null} outerLang - Language that injected the tree, used by `injection.parent`
+   * @returns {{layers: InjectionLayer[], pending: Promise[]}} Injected layers, and loads of languages
+   * that were skipped because they are not loaded yet
+   */
+  parse(text, lang, tree, parent = null, outerLang = null) {
+    const layers = [];
+    const pending = [];
+    const query = this.#loaded.get(lang)?.query;
+    if (!query || (parent?.depth ?? 0) >= MAX_DEPTH) return { layers, pending };
+
+    for (const { lang: injected, ranges } of this.#collect(query, tree, lang, outerLang)) {
+      if (!this.#loaded.has(injected)) {
+        pending.push(this.load(injected));
+        continue;
+      }
+
+      const entry = this.#loaded.get(injected);
+      if (!entry) continue;
+
+      const layerTree = entry.parser.parse(text, null, { includedRanges: ranges });
+      if (!layerTree) continue;
+
+      const layer = new InjectionLayer(injected, layerTree, ranges, parent);
+      const nested = this.parse(text, injected, layerTree, layer, lang);
+      layer.children.push(...nested.layers);
+      pending.push(...nested.pending);
+      layers.push(layer);
+    }
+
+    return { layers, pending };
+  }
+
+  /**
+   * Collect the injected regions of a tree, merging `injection.combined` matches per pattern
+   * @param {Query} query - Injections query
+   * @param {Tree} tree - Syntax tree
+   * @param {string} lang - Language identifier of the tree
+   * @param {string|null} outerLang - Language that injected the tree
+   * @returns {Array<{lang: string, ranges: Array<Object>}>} Injected regions
+   * @private
+   */
+  #collect(query, tree, lang, outerLang) {
+    const regions = [];
+    const combined = new Map();
+
+    for (const match of query.matches(tree.rootNode)) {
+      const properties = match.setProperties || {};
+      const content = match.captures.filter(({ name }) => name === 'injection.content' || name === 'content');
+      if (!content.length) continue;
+
+      const injected = this.#resolveLanguage(match, lang, outerLang);
+      if (!injected) continue;
+
+      const includeChildren = 'injection.include-children' in properties;
+      const ranges = content.flatMap(({ node }) => getContentRanges(node, includeChildren));
+      if (!ranges.length) continue;
+
+      if ('injection.combined' in properties) {
+        const key = `${match.patternIndex}:${injected}`;
+        if (!combined.has(key)) {
+          combined.set(key, { lang: injected, ranges: [] });
+          regions.push(combined.get(key));
+        }
+        combined.get(key).ranges.push(...ranges);
+      } else {
+        regions.push({ lang: injected, ranges });
+      }
+    }
+
+    for (const region of combined.values()) {
+      region.ranges.sort((a, b) => a.startIndex - b.startIndex);
+    }
+    return regions;
+  }
+
+  /**
+   * Get the language identifier of an injection match
+   * @param {Object} match - Query match
+   * @param {string} lang - Language identifier of the tree
+   * @param {string|null} outerLang - Language that injected the tree
+   * @returns {string|null} Language identifier, or null if no installed language matches
+   * @private
+   */
+  #resolveLanguage(match, lang, outerLang) {
+    const properties = match.setProperties || {};
+    if ('injection.self' in properties) return lang;
+    if ('injection.parent' in properties) return outerLang;
+
+    const name =
+      properties['injection.language'] ||
+      match.captures.find(({ name }) => name === 'injection.language' || name === 'language')?.node.text;
+
+    return name ? this.#findLanguage(name.trim()) : null;
+  }
+}
+
+/**
+ * Get the ranges of an injection content node
+ * @param {Node} node - Captured content node
+ * @param {boolean} includeChildren - Keep the text of child nodes
+ * @returns {Array<Object>} Ranges with indices and positions
+ */
+function getContentRanges(node, includeChildren) {
+  const range = {
+    startIndex: node.startIndex,
+    endIndex: node.endIndex,
+    startPosition: node.startPosition,
+    endPosition: node.endPosition
+  };
+  if (includeChildren || !node.childCount) return [range];
+
+  // Only the text between children is parsed, e.g. string fragments around interpolations
+  const ranges = [];
+  let startIndex = node.startIndex;
+  let startPosition = node.startPosition;
+  for (const child of [...node.children, null]) {
+    const endIndex = child ? child.startIndex : node.endIndex;
+    const endPosition = child ? child.startPosition : node.endPosition;
+    if (endIndex > startIndex) ranges.push({ startIndex, endIndex, startPosition, endPosition });
+
+    if (child) {
+      startIndex = child.endIndex;
+      startPosition = child.endPosition;
+    }
+  }
+  return ranges;
+}
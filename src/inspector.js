@@ -0,0 +1,467 @@
+import tag from 'html-tag-js';
+import Api from './api.js';
+
+const { Range } = ace.require('ace/range');
+
+/**
+ * Most nodes listed in the tree view, deeper rows are cut off
+ */
+const MAX_ROWS = 5000;
+
+/**
+ * Milliseconds to wait after typing a query or moving the cursor before updating
+ */
+const UPDATE_DELAY = 300;
+
+const STYLE = `
+.tree-sitter-inspector {
+  position: absolute; left: 0; right: 0; bottom: 0; height: 45%; z-index: 5;
+  display: flex; flex-direction: column; background: var(--primary-color, #1e1e1e);
+  color: var(--primary-text-color, #ddd); border-top: solid 1px rgba(127, 127, 127, 0.5); font-size: 0.8rem;
+}
+.tree-sitter-inspector .toolbar { display: flex; gap: 0.5rem; align-items: center; padding: 0.25rem 0.5rem; }
+.tree-sitter-inspector .toolbar .title { flex: 1; font-weight: bold; }
+.tree-sitter-inspector .tree, .tree-sitter-inspector .captures { flex: 1; overflow: auto; font-family: monospace; }
+.tree-sitter-inspector .row { white-space: pre; padding: 0 0.5rem; cursor: pointer; }
+.tree-sitter-inspector .row.active { background: rgba(127, 127, 255, 0.3); }
+.tree-sitter-inspector .row .field { opacity: 0.7; }
+.tree-sitter-inspector .row .anonymous { opacity: 0.6; }
+.tree-sitter-inspector .row .position { opacity: 0.5; }
+.tree-sitter-inspector .row.error .type { color: #f55; }
+.tree-sitter-inspector textarea { height: 5rem; font-family: monospace; resize: vertical; margin: 0 0.5rem; }
+.tree-sitter-inspector .message {
+  white-space: pre; font-family: monospace; padding: 0.25rem 0.5rem; opacity: 0.8;
+}
+.tree-sitter-inspector .message.error { color: #f55; opacity: 1; }
+.tree-sitter-inspected { position: absolute; background: rgba(127, 127, 255, 0.3); }
+.tree-sitter-capture { position: absolute; border-bottom: solid 2px rgba(255, 170, 0, 0.8); }
+`;
+
+export default class SyntaxInspector {
+  #file = null;
+  #document = null;
+  #panel = null;
+  #tree;
+  #captures;
+  #message;
+  #queryInput;
+  #langSelect;
+  #showAnonymous = false;
+  #rows = [];
+  #activeRow = null;
+  #nodeMarker = null;
+  #captureMarkers = [];
+  #timers = {};
+  #onTreeChanged;
+  #onCursorChange;
+  #onSwitchFile;
+
+  /**
+   * Panel over the bottom of the editor showing the syntax tree of the active file,
+   * synced with the cursor, and a query editor whose captures are marked live
+   */
+  constructor() {
+    this.#onTreeChanged = () => this.#schedule('render', () => this.render());
+    this.#onCursorChange = () => this.#schedule('cursor', () => this.#syncCursor());
+    this.#onSwitchFile = file => this.open(file);
+  }
+
+  /**
+   * Check if the panel is shown
+   */
+  get isOpen() {
+    return this.#panel !== null;
+  }
+
+  /**
+   * Show the panel for an editor file, replacing the file shown before
+   * @param {EditorFile} file - Editor file
+   * @returns {Promise<boolean>} False if no installed language matches the file
+   */
+  async open(file = editorManager.activeFile) {
+    if (!(await Api.getLanguageForEditorFile(file))) {
+      if (this.isOpen) this.#showMessage('No installed language for this file');
+      this.#unbindDocument();
+      this.#tree?.replaceChildren();
+      return false;
+    }
+
+    this.#unbindDocument();
+    this.#file = file;
+    this.#document = await Api.attach(file);
+    this.#document.on('tree-changed', this.#onTreeChanged);
+    this.#document.on('layers-changed', this.#onTreeChanged);
+
+    if (!this.isOpen) this.#createPanel();
+    this.render();
+    await this.#runQuery();
+    return true;
+  }
+
+  /**
+   * Hide the panel and remove its markers
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.#unbindDocument();
+    const { editor } = editorManager;
+    editor.selection.off('changeCursor', this.#onCursorChange);
+    editorManager.off('switch-file', this.#onSwitchFile);
+    const { top, left, right } = editor.renderer.scrollMargin;
+    editor.renderer.setScrollMargin(top, 0, left, right);
+
+    this.#panel.remove();
+    this.#panel = null;
+    this.#file = null;
+    this.#rows = [];
+    this.#activeRow = null;
+  }
+
+  /**
+   * Show the panel, or hide it if shown
+   * @returns {Promise<void>}
+   */
+  async toggle() {
+    if (this.isOpen) this.close();
+    else if (!(await this.open())) window.toast('No installed language for this file', 3000);
+  }
+
+  /**
+   * Render the tree view from the current trees of the document and its injected layers
+   */
+  render() {
+    if (!this.#document || !this.isOpen) return;
+
+    const document = this.#document;
+    const trees = [{ lang: document.lang, tree: document.tree }];
+    const visit = layers => {
+      for (const layer of layers) {
+        trees.push({ lang: layer.lang, tree: layer.tree, injected: true });
+        visit(layer.children);
+      }
+    };
+    visit(document.layers);
+
+    this.#rows = [];
+    this.#activeRow = null;
+    const elements = [];
+    for (const { lang, tree, injected } of trees) {
+      if (injected) elements.push(tag('div', { className: 'message', textContent: `${lang} (injected)` }));
+      elements.push(...this.#renderTree(tree));
+      if (this.#rows.length >= MAX_ROWS) {
+        const text = `Only the first ${MAX_ROWS} nodes are shown`;
+        elements.push(tag('div', { className: 'message', textContent: text }));
+        break;
+      }
+    }
+    this.#tree.replaceChildren(...elements);
+
+    const langs = [...new Set(trees.map(({ lang }) => lang))];
+    if (langs.join() !== [...this.#langSelect.options].map(option => option.value).join()) {
+      const selected = this.#langSelect.value;
+      this.#langSelect.replaceChildren(...langs.map(lang => tag('option', { value: lang, textContent: lang })));
+      if (langs.includes(selected)) this.#langSelect.value = selected;
+    }
+
+    this.#syncCursor();
+    this.#schedule('query', () => this.#runQuery());
+  }
+
+  /**
+   * Render the rows of a tree in document order
+   * @param {Tree} tree - Syntax tree
+   * @returns {HTMLElement[]} Rows
+   * @private
+   */
+  #renderTree(tree) {
+    const elements = [];
+    const cursor = tree.walk();
+    let depth = 0;
+
+    try {
+      for (;;) {
+        if ((cursor.nodeIsNamed || this.#showAnonymous) && this.#rows.length < MAX_ROWS) {
+          const row = this.#renderRow(cursor, depth);
+          this.#rows.push(row);
+          elements.push(row.element);
+        }
+
+        if (cursor.gotoFirstChild()) {
+          depth++;
+          continue;
+        }
+        while (!cursor.gotoNextSibling()) {
+          if (!cursor.gotoParent()) return elements;
+          depth--;
+        }
+      }
+    } finally {
+      cursor.delete();
+    }
+  }
+
+  /**
+   * Render the node at a tree cursor: field name, type and range
+   * @param {TreeCursor} cursor - Tree cursor
+   * @param {number} depth - Depth in the tree
+   * @returns {{element: HTMLElement, startIndex: number, endIndex: number, range: Object}} Row
+   * @private
+   */
+  #renderRow(cursor, depth) {
+    const { startIndex, endIndex, startPosition: start, endPosition: end } = cursor;
+    const node = cursor.currentNode;
+    const field = cursor.currentFieldName;
+    const range = { start: { ...start }, end: { ...end } };
+
+    const type = node.isMissing ? `MISSING ${node.type}` : node.type;
+    const element = tag('div', {
+      className: node.isError || node.isMissing ? 'row error' : 'row',
+      children: [
+        tag('span', { textContent: '  '.repeat(depth) }),
+        ...(field ? [tag('span', { className: 'field', textContent: `${field}: ` })] : []),
+        tag('span', {
+          className: node.isNamed ? 'type' : 'type anonymous',
+          textContent: node.isNamed ? type : JSON.stringify(type)
+        }),
+        tag('span', {
+          className: 'position',
+          textContent: ` [${start.row}, ${start.column}] - [${end.row}, ${end.column}]`
+        })
+      ],
+      onclick: () => this.#selectRange(range)
+    });
+    return { element, startIndex, endIndex, range };
+  }
+
+  /**
+   * Mark the row of the innermost listed node at the cursor and scroll to it
+   * @private
+   */
+  #syncCursor() {
+    if (!this.isOpen || editorManager.activeFile !== this.#file) return;
+
+    const index = this.#file.session.getDocument().positionToIndex(editorManager.editor.getCursorPosition());
+    // Rows are in document order, so the last row containing the cursor is the innermost one
+    // (injected layers come after the document tree)
+    const row = this.#rows.findLast(({ startIndex, endIndex }) => startIndex <= index && index <= endIndex);
+
+    this.#activeRow?.element.classList.remove('active');
+    this.#activeRow = row || null;
+    if (!row) return;
+
+    row.element.classList.add('active');
+    row.element.scrollIntoView({ block: 'nearest' });
+    this.#markNode(row.range);
+  }
+
+  /**
+   * Select the range of a node in the editor
+   * @param {{start: Object, end: Object}} range - Node range
+   * @private
+   */
+  #selectRange({ start, end }) {
+    const { editor } = editorManager;
+    editor.selection.setRange(new Range(start.row, start.column, end.row, end.column));
+    editor.renderer.scrollCursorIntoView(null, 0.5);
+  }
+
+  /**
+   * Mark the range of the active node in the editor
+   * @param {{start: Object, end: Object}} range - Node range
+   * @private
+   */
+  #markNode({ start, end }) {
+    const { session } = this.#file;
+    if (this.#nodeMarker !== null) session.removeMarker(this.#nodeMarker);
+    this.#nodeMarker = session.addMarker(
+      new Range(start.row, start.column, end.row, end.column),
+      'tree-sitter-inspected',
+      'text'
+    );
+  }
+
+  /**
+   * Run the query of the query editor and mark its captures, or show where it fails to compile
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #runQuery() {
+    if (!this.isOpen || !this.#file) return;
+
+    const file = this.#file;
+    const source = this.#queryInput.value;
+    this.#clearCaptures();
+    if (!source.trim()) {
+      this.#captures.replaceChildren();
+      this.#showMessage('Type a query to see its captures');
+      return;
+    }
+
+    let captures;
+    try {
+      captures = await Api.queryDocument(file, source, { lang: this.#langSelect.value, name: 'query' });
+    } catch (error) {
+      if (file !== this.#file || source !== this.#queryInput.value) return;
+      this.#captures.replaceChildren();
+      this.#showMessage(formatQueryError(error, source), true);
+      return;
+    }
+    if (file !== this.#file || source !== this.#queryInput.value) return;
+
+    const { session } = file;
+    this.#captureMarkers = captures.map(({ range: { start, end } }) =>
+      session.addMarker(new Range(start.row, start.column, end.row, end.column), 'tree-sitter-capture', 'text')
+    );
+    this.#captures.replaceChildren(
+      ...captures.map(({ name, node, range }) =>
+        tag('div', {
+          className: 'row',
+          textContent: `@${name} ${node.type} [${range.start.row}, ${range.start.column}] ${preview(node.text)}`,
+          onclick: () => this.#selectRange(range)
+        })
+      )
+    );
+    this.#showMessage(`${captures.length} capture${captures.length === 1 ? '' : 's'}`);
+  }
+
+  /**
+   * Remove the capture markers
+   * @private
+   */
+  #clearCaptures() {
+    const session = this.#file?.session;
+    for (const id of this.#captureMarkers) session?.removeMarker(id);
+    this.#captureMarkers = [];
+  }
+
+  /**
+   * Show a status or error message under the query editor
+   * @param {string} text - Message
+   * @param {boolean} isError - Show as an error
+   * @private
+   */
+  #showMessage(text, isError = false) {
+    if (!this.#message) return;
+    this.#message.textContent = text;
+    this.#message.className = isError ? 'message error' : 'message';
+  }
+
+  /**
+   * Create the panel and start following the cursor and the active file
+   * @private
+   */
+  #createPanel() {
+    const { editor } = editorManager;
+
+    const anonymous = tag('input', {
+      type: 'checkbox',
+      checked: this.#showAnonymous,
+      onchange: () => {
+        this.#showAnonymous = anonymous.checked;
+        this.render();
+      }
+    });
+    this.#langSelect = tag('select', { onchange: () => this.#runQuery() });
+    this.#queryInput = tag('textarea', {
+      placeholder: '(identifier) @name',
+      spellcheck: false,
+      value: this.#queryInput?.value || '',
+      oninput: () => this.#schedule('query', () => this.#runQuery())
+    });
+    this.#tree = tag('div', { className: 'tree' });
+    this.#captures = tag('div', { className: 'captures' });
+    this.#message = tag('div', { className: 'message' });
+
+    this.#panel = tag('div', {
+      className: 'tree-sitter-inspector',
+      children: [
+        tag('style', { textContent: STYLE }),
+        tag('div', {
+          className: 'toolbar',
+          children: [
+            tag('span', { className: 'title', textContent: 'Syntax tree' }),
+            tag('label', { children: [anonymous, tag('span', { textContent: ' Anonymous nodes' })] }),
+            tag('button', { textContent: '✕', onclick: () => this.close() })
+          ]
+        }),
+        this.#tree,
+        tag('div', {
+          className: 'toolbar',
+          children: [tag('span', { className: 'title', textContent: 'Query' }), this.#langSelect]
+        }),
+        this.#queryInput,
+        this.#message,
+        this.#captures
+      ]
+    });
+
+    editor.container.parentElement.append(this.#panel);
+    // Keep the last lines scrollable above the panel
+    const { top, left, right } = editor.renderer.scrollMargin;
+    editor.renderer.setScrollMargin(top, this.#panel.offsetHeight, left, right);
+    editor.selection.on('changeCursor', this.#onCursorChange);
+    editorManager.on('switch-file', this.#onSwitchFile);
+  }
+
+  /**
+   * Stop following the shown document and remove its markers
+   * @private
+   */
+  #unbindDocument() {
+    for (const timer of Object.values(this.#timers)) clearTimeout(timer);
+    this.#clearCaptures();
+    if (this.#nodeMarker !== null) this.#file?.session.removeMarker(this.#nodeMarker);
+    this.#nodeMarker = null;
+
+    this.#document?.off('tree-changed', this.#onTreeChanged);
+    this.#document?.off('layers-changed', this.#onTreeChanged);
+    this.#document = null;
+  }
+
+  /**
+   * Run a callback once updates of its kind stop for `UPDATE_DELAY`
+   * @param {string} name - Update kind
+   * @param {Function} callback - Callback
+   * @private
+   */
+  #schedule(name, callback) {
+    clearTimeout(this.#timers[name]);
+    this.#timers[name] = setTimeout(callback, UPDATE_DELAY);
+  }
+
+  /**
+   * Close the panel
+   */
+  destroy() {
+    this.close();
+  }
+}
+
+/**
+ * Point at the location of a query compile error with a caret under the offending line
+ * @param {Error} error - Query error, a `QueryCompileError` has a row and column
+ * @param {string} source - Query source
+ * @returns {string} Message
+ */
+function formatQueryError(error, source) {
+  if (typeof error.row !== 'number') return error.message;
+
+  const number = String(error.row + 1);
+  const line = source.split('\n')[error.row] ?? '';
+  return [
+    error.message,
+    `${number} | ${line}`,
+    `${' '.repeat(number.length)} | ${' '.repeat(error.column)}^`
+  ].join('\n');
+}
+
+/**
+ * Shorten a captured text to one line
+ * @param {string} text - Node text
+ * @returns {string} Quoted preview
+ */
+function preview(text) {
+  const line = text.split('\n')[0];
+  return JSON.stringify(line.length > 40 || line !== text ? `${line.slice(0, 40)}…` : line);
+}
@@ -0,0 +1,436 @@
+import tag from 'html-tag-js';
+import Api from './api.js';
+
+const confirm = acode.require('confirm');
+
+/**
+ * Labels of the per-language editor features
+ */
+const FEATURES = {
+  highlighting: 'Highlighting',
+  folding: 'Folding',
+  diagnostics: 'Diagnostics',
+  indentation: 'Indentation'
+};
+
+/**
+ * Milliseconds to wait after typing before searching the registry
+ */
+const SEARCH_DELAY = 400;
+
+const STYLE = `
+.tree-sitter-languages { padding: 0.5rem; overflow: auto; }
+.tree-sitter-languages h2 { font-size: 1rem; margin: 1rem 0.5rem 0.5rem; opacity: 0.8; }
+.tree-sitter-languages .language { padding: 0.5rem; border-bottom: solid 1px rgba(127, 127, 127, 0.3); }
+.tree-sitter-languages .header { display: flex; align-items: center; gap: 0.5rem; }
+.tree-sitter-languages .name { font-weight: bold; flex: 1; }
+.tree-sitter-languages .details { font-size: 0.8rem; opacity: 0.7; margin: 0.25rem 0; word-break: break-word; }
+.tree-sitter-languages .features { display: flex; flex-wrap: wrap; gap: 0.75rem; font-size: 0.9rem; }
+.tree-sitter-languages progress { width: 100%; }
+.tree-sitter-languages input[type=search] { width: 100%; box-sizing: border-box; padding: 0.5rem; }
+`;
+
+export default class LanguagePage {
+  #page;
+  #root = null;
+  #installed;
+  #items = new Map();
+  #updates = null;
+  #results;
+  #packages = null;
+  #searchTimer = null;
+  #searchText = '';
+  #busy = new Set();
+  #progress = new Map();
+  #listeners;
+
+  /**
+   * Settings page to install, update and uninstall languages, and choose the editor features of each one
+   * @param {HTMLElement} $page - Acode page to render into
+   */
+  constructor($page) {
+    this.#page = $page;
+    this.#listeners = {
+      'install-progress': progress => this.#showProgress(progress),
+      // Languages changed by the page itself are rendered once their action ends
+      'language-installed': lang => this.#onLanguageChanged(lang),
+      'language-uninstalled': lang => this.#onLanguageChanged(lang),
+      'language-updated': ({ lang }) => this.#onLanguageChanged(lang)
+    };
+  }
+
+  /**
+   * Render and show the page
+   * @returns {Promise<void>}
+   */
+  async show() {
+    if (!this.#root) {
+      this.#installed = tag('div');
+      this.#results = tag('div');
+      const search = tag('input', {
+        type: 'search',
+        placeholder: 'Search tree-sitter grammars',
+        oninput: () => this.#scheduleSearch(search.value)
+      });
+
+      this.#root = tag('div', {
+        className: 'tree-sitter-languages',
+        children: [
+          tag('style', { textContent: STYLE }),
+          tag('h2', { textContent: 'Installed' }),
+          this.#installed,
+          tag('h2', { textContent: 'Available' }),
+          search,
+          this.#results
+        ]
+      });
+      for (const [event, listener] of Object.entries(this.#listeners)) Api.on(event, listener);
+    }
+
+    this.#page.settitle('Tree-sitter languages');
+    this.#page.innerHTML = '';
+    this.#page.append(this.#root);
+    this.#page.onhide = () => this.destroy();
+    this.#page.show();
+
+    await Promise.all([this.refresh(), this.#search(this.#searchText)]);
+  }
+
+  /**
+   * Hide the page
+   */
+  hide() {
+    this.#page.hide();
+  }
+
+  /**
+   * Render the installed languages again. The registry is asked for updates once per showing of the page.
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.#root) return;
+
+    const langs = await Api.getAvailableLanguages();
+    if (!this.#updates) {
+      const updates = await Api.checkForUpdates(langs).catch(() => []);
+      this.#updates = new Map(updates.map(update => [update.lang, update]));
+    }
+    const items = await Promise.all(langs.map(async lang => [lang, await this.#renderLanguage(lang)]));
+
+    this.#items = new Map(items);
+    this.#renderInstalled();
+    await this.#renderResults();
+  }
+
+  /**
+   * Render one installed language again, or remove it if it is not installed anymore
+   * @param {string} lang - Language identifier
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #refreshLanguage(lang) {
+    if (!this.#root) return;
+
+    if (await Api.isLanguageAvailable(lang)) {
+      if (this.#updates && !this.#updates.has(lang)) {
+        const [update] = await Api.checkForUpdates([lang]).catch(() => []);
+        if (update) this.#updates.set(lang, update);
+      }
+      const item = await this.#renderLanguage(lang);
+      if (this.#items.has(lang)) this.#items.get(lang).replaceWith(item);
+      this.#items.set(lang, item);
+    } else {
+      this.#items.get(lang)?.remove();
+      this.#items.delete(lang);
+    }
+
+    this.#renderInstalled();
+    await this.#renderResults();
+  }
+
+  /**
+   * Render a language changed outside of the page's own actions, e.g. a dependency installed with another one
+   * @param {string} lang - Language identifier
+   * @private
+   */
+  #onLanguageChanged(lang) {
+    // Updated or reinstalled, the registry is asked again
+    this.#updates?.delete(lang);
+    if (this.#busy.has(lang)) return;
+    this.#refreshLanguage(lang).catch(error => console.error(`Failed to render ${lang}:`, error));
+  }
+
+  /**
+   * Show the rendered installed languages in order
+   * @private
+   */
+  #renderInstalled() {
+    const items = [...this.#items].sort(([a], [b]) => a.localeCompare(b)).map(([, item]) => item);
+    this.#installed.replaceChildren(
+      ...(items.length ? items : [tag('div', { className: 'details', textContent: 'No languages installed' })])
+    );
+  }
+
+  /**
+   * Render an installed language with its details, actions and feature toggles
+   * @param {string} lang - Language identifier
+   * @returns {Promise<HTMLElement>} Language item
+   * @private
+   */
+  async #renderLanguage(lang) {
+    const update = this.#updates?.get(lang);
+    const [info, size] = await Promise.all([Api.getInstallInfo(lang), Api.getLanguageSize(lang)]);
+    const queries = info?.queries || [];
+    const features = Api.getLanguageFeatures(lang);
+
+    const actions = [];
+    if (update?.hasUpdate && !update.pinned) {
+      actions.push(this.#button(`Update to ${update.latest}`, () => this.#update(lang, update.latest)));
+    }
+    actions.push(this.#button('Uninstall', () => this.#uninstall(lang)));
+
+    return tag('div', {
+      className: 'language',
+      children: [
+        tag('div', {
+          className: 'header',
+          children: [tag('span', { className: 'name', textContent: lang }), ...actions]
+        }),
+        tag('div', {
+          className: 'details',
+          textContent: [
+            info ? `${info.package}@${info.version}${info.pinned ? ' (pinned)' : ''}` : 'Unknown version',
+            formatSize(size),
+            queries.length ? queries.join(', ') : 'No queries'
+          ].join(' · ')
+        }),
+        tag('div', {
+          className: 'features',
+          children: Object.entries(FEATURES).map(([feature, label]) => {
+            const checkbox = tag('input', {
+              type: 'checkbox',
+              checked: features[feature],
+              onchange: () => this.#setFeature(lang, feature, checkbox)
+            });
+            return tag('label', { children: [checkbox, tag('span', { textContent: ` ${label}` })] });
+          })
+        }),
+        this.#getProgress(lang)
+      ]
+    });
+  }
+
+  /**
+   * Enable or disable a feature of a language from its checkbox, unchecking it again if that fails
+   * @param {string} lang - Language identifier
+   * @param {string} feature - Feature name
+   * @param {HTMLInputElement} checkbox - Feature checkbox
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #setFeature(lang, feature, checkbox) {
+    try {
+      await Api.setLanguageFeatures(lang, { [feature]: checkbox.checked });
+    } catch (error) {
+      checkbox.checked = !checkbox.checked;
+      window.toast(error.message, 4000);
+    }
+  }
+
+  /**
+   * Search the registry once typing stops
+   * @param {string} text - Search text
+   * @private
+   */
+  #scheduleSearch(text) {
+    clearTimeout(this.#searchTimer);
+    this.#searchTimer = setTimeout(() => this.#search(text), SEARCH_DELAY);
+  }
+
+  /**
+   * Search the registry and render the grammars found
+   * @param {string} text - Search text
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #search(text) {
+    this.#searchText = text;
+    this.#packages = null;
+    this.#results.replaceChildren(tag('div', { className: 'details', textContent: 'Searching…' }));
+
+    try {
+      const packages = await Api.searchRegistry(text);
+      if (text !== this.#searchText) return;
+      this.#packages = packages;
+      await this.#renderResults();
+    } catch (error) {
+      if (text !== this.#searchText) return;
+      this.#packages = null;
+      this.#results.replaceChildren(
+        tag('div', { className: 'details', textContent: `Search failed: ${error.message}` })
+      );
+    }
+  }
+
+  /**
+   * Render the last search results, marking the installed grammars
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #renderResults() {
+    if (!this.#packages) return;
+
+    const installed = new Set(await Api.getAvailableLanguages());
+    const items = this.#packages.map(({ lang, package: pkg, version, description }) =>
+      tag('div', {
+        className: 'language',
+        children: [
+          tag('div', {
+            className: 'header',
+            children: [
+              tag('span', { className: 'name', textContent: lang }),
+              installed.has(lang)
+                ? tag('span', { className: 'details', textContent: 'Installed' })
+                : this.#button('Install', () => this.#install(lang))
+            ]
+          }),
+          tag('div', {
+            className: 'details',
+            textContent: description ? `${pkg}@${version} · ${description}` : `${pkg}@${version}`
+          }),
+          // Installed grammars show their progress in the installed list
+          ...(installed.has(lang) ? [] : [this.#getProgress(lang)])
+        ]
+      })
+    );
+
+    this.#results.replaceChildren(
+      ...(items.length ? items : [tag('div', { className: 'details', textContent: 'No grammars found' })])
+    );
+  }
+
+  /**
+   * Install a language from the registry
+   * @param {string} lang - Language identifier
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #install(lang) {
+    await this.#run(lang, async () => {
+      await Api.installLanguage(lang);
+      window.toast(`Installed ${lang}`, 3000);
+    });
+  }
+
+  /**
+   * Update an installed language
+   * @param {string} lang - Language identifier
+   * @param {string} version - Version to update to
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #update(lang, version) {
+    await this.#run(lang, async () => {
+      if (await Api.updateLanguage(lang, { version })) window.toast(`Updated ${lang} to ${version}`, 3000);
+    });
+  }
+
+  /**
+   * Uninstall a language after confirmation
+   * @param {string} lang - Language identifier
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #uninstall(lang) {
+    if (!(await confirm('Uninstall', `Uninstall ${lang}?`))) return;
+    await this.#run(lang, async () => {
+      if (!(await Api.uninstallLanguage(lang))) throw new Error(`Failed to uninstall ${lang}`);
+    });
+  }
+
+  /**
+   * Run one action at a time per language, showing its progress and errors
+   * @param {string} lang - Language identifier
+   * @param {Function} action - Async action
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #run(lang, action) {
+    if (this.#busy.has(lang)) return;
+    this.#busy.add(lang);
+    this.#showProgress({ lang, filesDone: 0, filesTotal: 0 });
+
+    try {
+      await action();
+    } catch (error) {
+      window.toast(error.message, 4000);
+    } finally {
+      this.#busy.delete(lang);
+      this.#progress.delete(lang);
+      await this.#refreshLanguage(lang);
+    }
+  }
+
+  /**
+   * Get the progress bar of a language, empty if nothing is running
+   * @param {string} lang - Language identifier
+   * @returns {HTMLProgressElement} Progress bar
+   * @private
+   */
+  #getProgress(lang) {
+    if (!this.#progress.has(lang)) {
+      this.#progress.set(lang, tag('progress', { hidden: !this.#busy.has(lang) }));
+    }
+    return this.#progress.get(lang);
+  }
+
+  /**
+   * Update the progress bar of a language from an `install-progress` event
+   * @param {Object} progress - `{ lang, filesDone, filesTotal }`
+   * @private
+   */
+  #showProgress({ lang, filesDone, filesTotal }) {
+    const progress = this.#getProgress(lang);
+    progress.hidden = false;
+    if (filesTotal) {
+      progress.max = filesTotal;
+      progress.value = filesDone;
+    } else {
+      progress.removeAttribute('value');
+    }
+  }
+
+  /**
+   * Create an action button
+   * @param {string} text - Label
+   * @param {Function} onclick - Click handler
+   * @returns {HTMLButtonElement} Button
+   * @private
+   */
+  #button(text, onclick) {
+    return tag('button', { textContent: text, onclick });
+  }
+
+  /**
+   * Stop listening to language changes; `show()` renders the page again
+   */
+  destroy() {
+    clearTimeout(this.#searchTimer);
+    for (const [event, listener] of Object.entries(this.#listeners)) Api.off(event, listener);
+    this.#root = null;
+    this.#items.clear();
+    this.#updates = null;
+    this.#progress.clear();
+  }
+}
+
+/**
+ * Format a size in bytes
+ * @param {number} size - Bytes
+ * @returns {string} e.g. "1.2 MB"
+ */
+function formatSize(size) {
+  if (size < 1024) return `${size} B`;
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+  return `${(size / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -1,4 +1,5 @@
 import Api from './api.js';
+import Query from './query.js';
 import { Language as TSLanguage } from 'web-tree-sitter';
 
 export default class Language {
@@ -7,7 +8,9 @@ export default class Language {
   #wasmUrls;
   #queries;
   #grammar;
+  #module = null;
   #extensions;
+  #compiledQueries = new Map();
 
   /**
    * Create a new Language instance
@@ -124,6 +127,24 @@ export default class Language {
     return this.#grammar !== null;
   }
 
+  /**
+   * Get the number of compiled queries kept for the loaded grammar
+   */
+  get compiledQueryCount() {
+    return this.#compiledQueries.size;
+  }
+
+  /**
+   * Replace the query files, e.g. with the ones tree-sitter.json lists for this grammar.
+   * Compiled queries are discarded, so they are compiled again from the new files.
+   * @param {Object} queries - Query file name to source
+   */
+  setQueries(queries) {
+    for (const query of this.#compiledQueries.values()) query.discard();
+    this.#compiledQueries.clear();
+    this.#queries = queries;
+  }
+
   /**
    * Get a specific query by name
    * @param {string} queryName - Name of the query (e.g., 'highlights', 'locals')
@@ -133,6 +154,27 @@ export default class Language {
     return this.#queries && this.#queries[queryFile] ? this.#queries[queryFile] : null;
   }
 
+  /**
+   * Get a compiled query by name, compiling and caching it on first use
+   * @param {string} queryName - Name of the query (e.g., 'highlights', 'locals', 'injections', 'folds', 'tags')
+   * @returns {Query|null} Compiled query or null if the language has no such query file
+   * @throws {QueryCompileError} If the query is invalid
+   */
+  getCompiledQuery(queryName) {
+    const source = this.getQuery(queryName);
+    if (source === null) return null;
+
+    if (!this.isLoaded) {
+      throw new Error(`Cannot compile query ${queryName}: grammar for language '${this.#name}' not loaded`);
+    }
+
+    if (!this.#compiledQueries.has(queryName)) {
+      this.#compiledQueries.set(queryName, new Query(this.#grammar, source, `${queryName}.scm`));
+    }
+
+    return this.#compiledQueries.get(queryName);
+  }
+
   /**
    * Load the grammar from WASM
    */
@@ -141,8 +183,11 @@ export default class Language {
     if (!this.#wasmUrls) throw new Error(`No WASM file available for language '${this.#name}'`);
 
     try {
-      const wasmUrl = await acode.toInternalUrl(this.#wasmUrls);
-      this.#grammar = await TSLanguage.load(wasmUrl);
+      if (!this.#module) {
+        const wasmUrl = await acode.toInternalUrl(this.#wasmUrls);
+        this.#module = await TSLanguage.load(wasmUrl);
+      }
+      this.#grammar = this.#module;
 
       return this.#grammar;
     } catch (error) {
@@ -152,9 +197,13 @@ export default class Language {
   }
 
   /**
-   * Unload grammar to free memory
+   * Unload grammar to free memory: compiled queries are deleted, or once released for the retained ones.
+   * web-tree-sitter cannot unload a WASM module, so the module is kept and
+   * reused by the next `loadGrammar()` instead of being instantiated again.
    */
   unloadGrammar() {
+    for (const query of this.#compiledQueries.values()) query.discard();
+    this.#compiledQueries.clear();
     this.#grammar = null;
     return true;
   }
@@ -1,13 +1,156 @@
 import plugin from '../plugin.json';
 import Api from './api.js';
 import Language from './language.js';
+import Query from './query.js';
+import LanguagePage from './language-page.js';
+import SyntaxInspector from './inspector.js';
+import Breadcrumbs from './breadcrumbs.js';
+import { isQuerySource, applyReplacements } from './structural.js';
+import { minimatch } from 'minimatch';
 
 const confirm = acode.require('confirm');
+const palette = acode.require('palette');
+const prompt = acode.require('prompt');
+const select = acode.require('select');
 const fs = acode.require('fs');
 const Url = acode.require('url');
+const { Range } = ace.require('ace/range');
+
+/**
+ * Most project files searched by a structural search
+ */
+const MAX_SEARCH_FILES = 500;
+
+/**
+ * Folders skipped when searching project files
+ */
+const IGNORED_FOLDERS = ['.git', 'node_modules'];
 
 class AcodeTreeSitter {
-  async init() {
+  commands = [
+    {
+      name: 'tree-sitter-go-to-symbol',
+      description: 'Go to symbol in file',
+      exec: () => this.goToSymbol()
+    },
+    {
+      name: 'tree-sitter-go-to-definition',
+      description: 'Go to local definition',
+      exec: () => this.goToDefinition()
+    },
+    {
+      name: 'tree-sitter-highlight-references',
+      description: 'Highlight references',
+      exec: () => this.highlightReferences()
+    },
+    {
+      name: 'tree-sitter-expand-selection',
+      description: 'Expand selection to enclosing node',
+      bindKey: { win: 'Ctrl-Alt-Shift-Right', mac: 'Ctrl-Command-Shift-Right' },
+      exec: () => this.expandSelection()
+    },
+    {
+      name: 'tree-sitter-shrink-selection',
+      description: 'Shrink selection',
+      bindKey: { win: 'Ctrl-Alt-Shift-Left', mac: 'Ctrl-Command-Shift-Left' },
+      exec: () => this.shrinkSelection()
+    },
+    {
+      name: 'tree-sitter-select-function',
+      description: 'Select function',
+      exec: () => this.selectTextObject('function.outer', 'function')
+    },
+    {
+      name: 'tree-sitter-select-class',
+      description: 'Select class',
+      exec: () => this.selectTextObject('class.outer', 'class')
+    },
+    {
+      name: 'tree-sitter-select-parameter',
+      description: 'Select parameter',
+      exec: () => this.selectTextObject('parameter.inner', 'parameter')
+    },
+    {
+      name: 'tree-sitter-select-comment',
+      description: 'Select comment',
+      exec: () => this.selectTextObject('comment.outer', 'comment')
+    },
+    {
+      name: 'tree-sitter-next-function',
+      description: 'Go to next function',
+      exec: () => this.gotoTextObject('function.outer', 'next', 'function')
+    },
+    {
+      name: 'tree-sitter-previous-function',
+      description: 'Go to previous function',
+      exec: () => this.gotoTextObject('function.outer', 'previous', 'function')
+    },
+    {
+      name: 'tree-sitter-next-class',
+      description: 'Go to next class',
+      exec: () => this.gotoTextObject('class.outer', 'next', 'class')
+    },
+    {
+      name: 'tree-sitter-previous-class',
+      description: 'Go to previous class',
+      exec: () => this.gotoTextObject('class.outer', 'previous', 'class')
+    },
+    {
+      name: 'tree-sitter-swap-parameter-next',
+      description: 'Swap parameter with next',
+      exec: () => this.swapParameters('next')
+    },
+    {
+      name: 'tree-sitter-swap-parameter-previous',
+      description: 'Swap parameter with previous',
+      exec: () => this.swapParameters('previous')
+    },
+    {
+      name: 'tree-sitter-toggle-diagnostics',
+      description: 'Toggle syntax error diagnostics',
+      exec: () => this.toggleDiagnostics()
+    },
+    {
+      name: 'tree-sitter-reindent',
+      description: 'Reindent selection',
+      exec: () => this.reindent()
+    },
+    {
+      name: 'tree-sitter-structural-replace',
+      description: 'Structural search and replace',
+      exec: () => this.structuralReplace()
+    },
+    {
+      name: 'tree-sitter-inspect-syntax-tree',
+      description: 'Toggle syntax tree inspector',
+      exec: () => this.inspector.toggle()
+    },
+    {
+      name: 'tree-sitter-toggle-breadcrumbs',
+      description: 'Toggle breadcrumbs',
+      exec: () => this.breadcrumbs.toggle()
+    },
+    {
+      name: 'tree-sitter-manage-languages',
+      description: 'Manage tree-sitter languages',
+      exec: () => this.languagePage.show()
+    }
+  ];
+  settings = {
+    list: [{ key: 'manage-languages', text: 'Manage languages' }],
+    cb: key => {
+      if (key === 'manage-languages') this.languagePage.show();
+    }
+  };
+  referenceMarkers = null;
+  selectionHistory = new WeakMap();
+  languagePage = null;
+  lastStructuralSearch = { pattern: '', replacement: '' };
+  inspector = new SyntaxInspector();
+  breadcrumbs = new Breadcrumbs();
+  onSwitchFile = file => Api.applyLanguageFeatures(file);
+
+  async init($page) {
     // init main folder
     if (!(await fs(Api.TREE_SITTER_PATH).exists())) {
       await fs(Url.dirname(Api.TREE_SITTER_PATH)).createDirectory(
@@ -22,6 +165,433 @@ class AcodeTreeSitter {
 
     acode.define('tree-sitter', Api);
     acode.define('@tree-sitter/language', Language);
+    acode.define('@tree-sitter/query', Query);
+
+    for (const command of this.commands) editorManager.editor.commands.addCommand(command);
+
+    this.languagePage = new LanguagePage($page);
+    editorManager.on('switch-file', this.onSwitchFile);
+    await Api.applyLanguageFeatures(editorManager.activeFile);
+  }
+
+  /**
+   * Pick a symbol of the active file from its outline and move the cursor to it
+   */
+  async goToSymbol() {
+    const file = editorManager.activeFile;
+    if (!(await Api.getLanguageForEditorFile(file))) {
+      window.toast('No installed language for this file', 3000);
+      return;
+    }
+
+    const symbols = [];
+    const flatten = (list, depth) => {
+      for (const symbol of list) {
+        symbols.push({ symbol, depth });
+        flatten(symbol.children, depth + 1);
+      }
+    };
+    flatten(await Api.getDocumentSymbols(file), 0);
+
+    if (!symbols.length) {
+      window.toast('No symbols found', 3000);
+      return;
+    }
+
+    palette(
+      () =>
+        symbols.map(({ symbol, depth }, index) => ({
+          value: String(index),
+          text: `${'\u00a0\u00a0'.repeat(depth)}${symbol.name} (${symbol.kind})`
+        })),
+      index => {
+        const { start } = symbols[index].symbol.selectionRange;
+        const { editor } = editorManager;
+        editor.gotoLine(start.row + 1, start.column, false);
+        editor.focus();
+      },
+      'Go to symbol in file'
+    );
+  }
+
+  /**
+   * Move the cursor to the local definition of the identifier under the cursor
+   */
+  async goToDefinition() {
+    const file = editorManager.activeFile;
+    if (!(await Api.getLanguageForEditorFile(file))) {
+      window.toast('No installed language for this file', 3000);
+      return;
+    }
+
+    const { editor } = editorManager;
+    const definition = await Api.findDefinition(file, editor.getCursorPosition());
+    if (!definition) {
+      window.toast('No local definition found', 3000);
+      return;
+    }
+
+    const { start } = definition.range;
+    editor.gotoLine(start.row + 1, start.column, false);
+    editor.focus();
+  }
+
+  /**
+   * Mark the local definition and references of the identifier under the cursor,
+   * until the next edit or the next highlight
+   */
+  async highlightReferences() {
+    const file = editorManager.activeFile;
+    if (!(await Api.getLanguageForEditorFile(file))) {
+      window.toast('No installed language for this file', 3000);
+      return;
+    }
+
+    this.clearReferenceMarkers();
+    const references = await Api.findReferences(file, editorManager.editor.getCursorPosition());
+    if (!references.length) {
+      window.toast('No local references found', 3000);
+      return;
+    }
+
+    const { session } = file;
+    const ids = references.map(({ range: { start, end } }) =>
+      session.addMarker(new Range(start.row, start.column, end.row, end.column), 'ace_selected-word', 'text')
+    );
+    const clear = () => this.clearReferenceMarkers();
+    session.once('change', clear);
+    this.referenceMarkers = { session, ids, clear };
+  }
+
+  /**
+   * Remove the markers added by the last highlight
+   */
+  clearReferenceMarkers() {
+    if (!this.referenceMarkers) return;
+
+    const { session, ids, clear } = this.referenceMarkers;
+    for (const id of ids) session.removeMarker(id);
+    session.off('change', clear);
+    this.referenceMarkers = null;
+  }
+
+  /**
+   * Select the smallest syntax node enclosing the selection, remembering the
+   * previous selection for `shrinkSelection`
+   */
+  async expandSelection() {
+    const file = editorManager.activeFile;
+    if (!(await Api.getLanguageForEditorFile(file))) {
+      window.toast('No installed language for this file', 3000);
+      return;
+    }
+
+    const { editor } = editorManager;
+    const selection = editor.getSelectionRange();
+    const range = await Api.expandSelection(file, selection);
+    if (!range) return;
+
+    // Start a new history when the selection was changed since the last expansion
+    let history = this.selectionHistory.get(file.session);
+    if (!history || !history.current.isEqual(selection)) history = { ranges: [], current: null };
+
+    history.ranges.push(selection);
+    history.current = new Range(range.start.row, range.start.column, range.end.row, range.end.column);
+    this.selectionHistory.set(file.session, history);
+    editor.selection.setRange(history.current);
+  }
+
+  /**
+   * Go back to the selection before the last `expandSelection`
+   */
+  shrinkSelection() {
+    const { editor } = editorManager;
+    const { session } = editorManager.activeFile;
+    const history = this.selectionHistory.get(session);
+    if (!history?.ranges.length || !history.current.isEqual(editor.getSelectionRange())) {
+      this.selectionHistory.delete(session);
+      return;
+    }
+
+    history.current = history.ranges.pop();
+    editor.selection.setRange(history.current);
+  }
+
+  /**
+   * Select the text object enclosing the selection, or the one enclosing it when it is already selected
+   * @param {string} name - Capture name of textobjects.scm, e.g. 'function.outer'
+   * @param {string} label - Text object shown in messages
+   */
+  async selectTextObject(name, label) {
+    const file = editorManager.activeFile;
+    if (!(await Api.getLanguageForEditorFile(file))) {
+      window.toast('No installed language for this file', 3000);
+      return;
+    }
+
+    const { editor } = editorManager;
+    const range = await Api.selectTextObject(file, editor.getSelectionRange(), name);
+    if (!range) {
+      window.toast(`No enclosing ${label} found`, 3000);
+      return;
+    }
+
+    editor.selection.setRange(new Range(range.start.row, range.start.column, range.end.row, range.end.column));
+  }
+
+  /**
+   * Move the cursor to the start of the next or previous text object
+   * @param {string} name - Capture name of textobjects.scm, e.g. 'class.outer'
+   * @param {string} direction - 'next' or 'previous'
+   * @param {string} label - Text object shown in messages
+   */
+  async gotoTextObject(name, direction, label) {
+    const file = editorManager.activeFile;
+    if (!(await Api.getLanguageForEditorFile(file))) {
+      window.toast('No installed language for this file', 3000);
+      return;
+    }
+
+    const { editor } = editorManager;
+    const range = await Api.gotoTextObject(file, editor.getCursorPosition(), name, direction);
+    if (!range) {
+      window.toast(`No ${direction} ${label} found`, 3000);
+      return;
+    }
+
+    editor.gotoLine(range.start.row + 1, range.start.column, false);
+    editor.focus();
+  }
+
+  /**
+   * Swap the parameter or argument under the cursor with the next or previous one, keeping the cursor on it
+   * @param {string} direction - 'next' or 'previous'
+   */
+  async swapParameters(direction) {
+    const file = editorManager.activeFile;
+    if (!(await Api.getLanguageForEditorFile(file))) {
+      window.toast('No installed language for this file', 3000);
+      return;
+    }
+
+    const { editor } = editorManager;
+    const range = await Api.swapTextObjects(file, editor.getCursorPosition(), 'parameter.inner', direction);
+    if (!range) {
+      window.toast(`No ${direction} parameter to swap with`, 3000);
+      return;
+    }
+
+    editor.moveCursorTo(range.start.row, range.start.column);
+  }
+
+  /**
+   * Show or hide the parse errors of the active file in the gutter
+   */
+  async toggleDiagnostics() {
+    const file = editorManager.activeFile;
+    if (Api.disableDiagnostics(file)) {
+      window.toast('Syntax error diagnostics disabled', 3000);
+      return;
+    }
+
+    if (!(await Api.enableDiagnostics(file))) {
+      window.toast('No installed language for this file', 3000);
+      return;
+    }
+    window.toast('Syntax error diagnostics enabled', 3000);
+  }
+
+  /**
+   * Reindent the selected rows of the active file from its indents.scm, or the cursor row without a selection
+   */
+  async reindent() {
+    const file = editorManager.activeFile;
+    if (!(await Api.getLanguageForEditorFile(file))) {
+      window.toast('No installed language for this file', 3000);
+      return;
+    }
+
+    const { start, end } = editorManager.editor.getSelectionRange();
+    // A selection ending at the start of a row does not include that row
+    const endRow = end.column === 0 && end.row > start.row ? end.row - 1 : end.row;
+    if (!Api.getIndentProvider(file) && !(await Api.enableIndentation(file))) {
+      window.toast('No indents query for this language', 3000);
+      return;
+    }
+
+    const changed = await Api.reindentLines(file, start.row, endRow);
+    const message = changed ? `Reindented ${changed} line${changed === 1 ? '' : 's'}` : 'Indentation unchanged';
+    window.toast(message, 3000);
+  }
+
+  /**
+   * Search the active file, the open files or project files with a query or a code template,
+   * review each match and replace the accepted ones. Open files are changed as one undo step each.
+   */
+  async structuralReplace() {
+    const file = editorManager.activeFile;
+    const lang = file?.session && (await Api.detectLanguage(file.filename, file.session.getValue()));
+    if (!lang) {
+      window.toast('No installed language for this file', 3000);
+      return;
+    }
+
+    const pattern = await prompt(
+      'Search: a query, or code with $placeholders',
+      this.lastStructuralSearch.pattern,
+      'textarea',
+      { required: true }
+    );
+    if (!pattern) return;
+    const replacement = await prompt(
+      'Replace with: code using the captures as $name',
+      this.lastStructuralSearch.replacement,
+      'textarea'
+    );
+    if (replacement === null || replacement === undefined) return;
+    this.lastStructuralSearch = { pattern, replacement };
+
+    const scope = await select('Search in', [
+      ['file', 'Current file'],
+      ['open', 'Open files'],
+      ['project', 'Project files']
+    ]).catch(() => null);
+    if (!scope) return;
+
+    let results;
+    try {
+      const targets = await this.getSearchTargets(scope, file, lang);
+      const found = await Api.structuralSearch(
+        lang,
+        targets.map(target => target.text),
+        pattern,
+        { template: !isQuerySource(pattern), replacement }
+      );
+      results = targets
+        .map((target, i) => ({ ...target, matches: found[i], accepted: [] }))
+        .filter(({ matches }) => matches.length);
+    } catch (error) {
+      window.toast(error.message, 5000);
+      return;
+    }
+
+    const total = results.reduce((sum, { matches }) => sum + matches.length, 0);
+    if (!total) {
+      window.toast('No matches found', 3000);
+      return;
+    }
+
+    // Review each match; dismissing the dialog cancels everything
+    let replaceAll = false;
+    let index = 0;
+    review: for (const result of results) {
+      for (const match of result.matches) {
+        index++;
+        if (!replaceAll) {
+          if (result.file) this.showMatch(result.file, match.range);
+          const action = await select(
+            `${index}/${total} ${result.name}:${match.range.start.row + 1}\n` +
+              `${shorten(match.text)} → ${shorten(match.replacement)}`,
+            [
+              ['replace', 'Replace'],
+              ['skip', 'Skip'],
+              ['all', 'Replace all remaining'],
+              ['stop', 'Stop and apply']
+            ]
+          ).catch(() => null);
+
+          if (!action) return;
+          if (action === 'stop') break review;
+          if (action === 'skip') continue;
+          if (action === 'all') replaceAll = true;
+        }
+        result.accepted.push(match);
+      }
+    }
+
+    let count = 0;
+    try {
+      for (const { file: target, url, text, accepted } of results) {
+        if (!accepted.length) continue;
+        if (target) {
+          count += Api.structuralReplace(target, accepted);
+        } else if ((await fs(url).readFile('utf-8')) === text) {
+          await fs(url).writeFile(applyReplacements(text, accepted));
+          count += accepted.length;
+        }
+      }
+    } catch (error) {
+      window.toast(`Replaced ${count} of ${total} matches, then failed: ${error.message}`, 5000);
+      return;
+    }
+    window.toast(`Replaced ${count} of ${total} matches`, 3000);
+  }
+
+  /**
+   * Get the texts searched by a structural search, from the editor session of open files
+   * and from storage for the other project files
+   * @param {string} scope - `file`, `open` or `project`
+   * @param {EditorFile} file - Active file
+   * @param {string} lang - Language of the active file, other languages are skipped
+   * @returns {Promise<Array<{name: string, text: string, file?: EditorFile, url?: string}>>} Targets
+   */
+  async getSearchTargets(scope, file, lang) {
+    const fromFile = target => ({ name: target.filename, text: target.session.getValue(), file: target });
+    if (scope === 'file') return [fromFile(file)];
+
+    const open = [];
+    for (const target of editorManager.files) {
+      if (!target.session) continue;
+      if ((await Api.detectLanguage(target.filename, target.session.getValue())) === lang) open.push(target);
+    }
+    if (scope === 'open') return open.map(fromFile);
+
+    const glob = await prompt('Project files to search', `**/*${Url.extname(file.filename)}`, 'text', {
+      required: true
+    });
+    if (!glob) return [];
+
+    const targets = [];
+    const visit = async (url, path) => {
+      for (const entry of await fs(url).lsDir()) {
+        if (targets.length >= MAX_SEARCH_FILES) return;
+
+        const entryPath = path ? `${path}/${entry.name}` : entry.name;
+        if (entry.isDirectory) {
+          if (!IGNORED_FOLDERS.includes(entry.name)) await visit(entry.url, entryPath);
+          continue;
+        }
+        if (!minimatch(entryPath, glob, { dot: true })) continue;
+
+        const openFile = open.find(target => target.uri === entry.url);
+        if (openFile) {
+          targets.push(fromFile(openFile));
+          continue;
+        }
+        const text = await fs(entry.url).readFile('utf-8');
+        if ((await Api.detectLanguage(entry.name, text)) === lang) {
+          targets.push({ name: entryPath, text, url: entry.url });
+        }
+      }
+    };
+    for (const folder of window.addedFolder || []) await visit(folder.url, '');
+
+    if (targets.length >= MAX_SEARCH_FILES) {
+      window.toast(`Only the first ${MAX_SEARCH_FILES} files are searched`, 3000);
+    }
+    return targets;
+  }
+
+  /**
+   * Switch to a file and select a range in it
+   * @param {EditorFile} file - Editor file
+   * @param {{start: Object, end: Object}} range - Range to select
+   */
+  showMatch(file, { start, end }) {
+    if (editorManager.activeFile !== file) editorManager.switchFile(file.id);
+    const { editor } = editorManager;
+    editor.selection.setRange(new Range(start.row, start.column, end.row, end.column));
+    editor.renderer.scrollCursorIntoView(null, 0.5);
   }
 
   async destroy() {
@@ -36,21 +606,42 @@ class AcodeTreeSitter {
       await fs(Api.TREE_SITTER_PATH).delete();
     }
 
+    for (const { name } of this.commands) editorManager.editor.commands.removeCommand(name);
+    editorManager.off('switch-file', this.onSwitchFile);
+    this.languagePage?.destroy();
+    this.inspector.destroy();
+    this.breadcrumbs.destroy();
+    this.clearReferenceMarkers();
     Api.clear();
 
     acode.define('tree-sitter', undefined);
     acode.define('@tree-sitter/language', undefined);
+    acode.define('@tree-sitter/query', undefined);
   }
 }
 
+/**
+ * Shorten a text to its first line for a dialog
+ * @param {string} text - Text
+ * @returns {string} Shortened text
+ */
+function shorten(text) {
+  const line = text.split('\n')[0];
+  return line.length > 40 || line !== text ? `${line.slice(0, 40)}…` : line;
+}
+
 if (window.acode) {
   const acodePlugin = new AcodeTreeSitter();
-  acode.setPluginInit(plugin.id, async (baseUrl, $page, { cacheFileUrl, cacheFile }) => {
-    if (!baseUrl.endsWith('/')) baseUrl += '/';
-    acodePlugin.baseUrl = baseUrl;
+  acode.setPluginInit(
+    plugin.id,
+    async (baseUrl, $page, { cacheFileUrl, cacheFile }) => {
+      if (!baseUrl.endsWith('/')) baseUrl += '/';
+      acodePlugin.baseUrl = baseUrl;
 
-    await acodePlugin.init($page, cacheFile, cacheFileUrl);
-  });
+      await acodePlugin.init($page, cacheFile, cacheFileUrl);
+    },
+    acodePlugin.settings
+  );
   acode.setPluginUnmount(plugin.id, async () => {
     await acodePlugin.destroy();
   });
@@ -1,12 +1,47 @@
 import Api from './api.js';
 import Language from './language.js';
 import { minimatch } from 'minimatch';
+import { extractArchive } from './archive.js';
+import { createSource, requestJson } from './sources.js';
+import { QUERY_KEYS, findGrammar, getQueryFiles, getPackageDependencies, parseInherits } from './dependencies.js';
 
 const fs = acode.require('fs');
 const Url = acode.require('url');
 
+/**
+ * Export of a grammar module returning its language, e.g. `tree_sitter_python`
+ */
+const LANGUAGE_FUNCTION = /^tree_sitter_\w+$/;
+
+/**
+ * Error thrown when installing a language fails
+ */
+export class InstallError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.lang - Language identifier
+   * @param {string|null} details.file - Package file that failed, relative to the package root
+   * @param {Error} details.cause - Original error
+   */
+  constructor(message, { lang, file = null, cause }) {
+    super(file ? `${lang}: ${file}: ${message}` : `${lang}: ${message}`);
+    this.name = 'InstallError';
+    this.lang = lang;
+    this.file = file;
+    this.cause = cause;
+  }
+}
+
 export default {
   CDN_URL: 'https://unpkg.com/',
+  SEARCH_URL: 'https://registry.npmjs.org/-/v1/search',
+  INSTALL_FILE: 'install.json',
+  DOWNLOAD_CONCURRENCY: 4,
+  DOWNLOAD_RETRIES: 3,
+  DOWNLOAD_TIMEOUT: 30000,
+  // Languages being installed or updated, their staging folders must not be shared
+  _installing: new Set(),
 
   /**
    * Get a language
@@ -49,7 +84,13 @@ export default {
         );
       }
 
-      return new Language(lang, config, wasmFiles, queries, false);
+      // Each grammar gets the query files its tree-sitter.json entry lists, e.g. TSX adds the JSX highlights
+      const language = new Language(lang, config, wasmFiles, queries, false);
+      for (const grammar of [language, ...Object.values(language.extensions)]) {
+        const entry = findGrammar(config, grammar.name);
+        if (entry) grammar.setQueries(await this._composeQueries(lang, queries, entry));
+      }
+      return language;
     } catch (error) {
       console.error(`Error loading language ${lang}:`, error);
       throw new Error(`Failed to load language ${lang}: ${error.message}`);
@@ -57,33 +98,718 @@ export default {
   },
 
   /**
-   * install a language
+   * Concatenate the query files a grammar lists in tree-sitter.json, in order.
+   * `node_modules/<package>/queries/...` files are read from the installed language of that package.
+   * @param {string} lang - Language identifier of the package
+   * @param {Object} queries - Query files of the package
+   * @param {Object} grammar - tree-sitter.json grammar entry
+   * @returns {Promise<Object>} Query files of the grammar
+   * @private
+   */
+  async _composeQueries(lang, queries, grammar) {
+    const composed = { ...queries };
+
+    for (const key of QUERY_KEYS) {
+      const files = getQueryFiles(grammar, key);
+      if (!files.length) continue;
+
+      const sources = [];
+      for (const { pkg, file } of files) {
+        if (!pkg) {
+          if (queries[file] !== undefined) sources.push(queries[file]);
+          continue;
+        }
+
+        const dependency = this.getLanguageId(pkg);
+        const url = Url.join(Api.TREE_SITTER_PATH, dependency, 'queries', file);
+        if (await fs(url).exists()) sources.push(await fs(url).readFile('utf-8'));
+        else console.warn(`${lang} uses ${file} of ${dependency}, which is not installed`);
+      }
+      if (sources.length) composed[`${key}.scm`] = sources.join('\n\n');
+    }
+
+    return composed;
+  },
+
+  /**
+   * Get the languages an installed language depends on: grammar packages of its package.json
+   * (recorded at install time), packages of its tree-sitter.json query paths, and the languages
+   * its query files inherit with `; inherits:` modelines
+   * @param {string} lang - Language identifier
+   * @returns {Promise<Object>} Language identifier to version or range, `latest` if unknown
+   */
+  async getDependencies(lang) {
+    const info = await this.getLanguageInfo(lang);
+    if (!info) return {};
+
+    const dependencies = { ...(await this.getInstallInfo(lang))?.dependencies };
+    for (const [pkg, range] of Object.entries(getPackageDependencies(info.config))) {
+      const dependency = this.getLanguageId(pkg);
+      if (!dependencies[dependency]) dependencies[dependency] = range;
+    }
+
+    // Languages in parentheses are optional, and the package's own grammars are not dependencies
+    const queriesPath = Url.join(Api.TREE_SITTER_PATH, lang, 'queries');
+    const queryFiles = (await fs(queriesPath).exists()) ? await fs(queriesPath).lsDir() : [];
+    for (const file of queryFiles.filter(file => file.name.endsWith('.scm'))) {
+      for (const { name, optional } of parseInherits(await fs(file.url).readFile('utf-8'))) {
+        const dependency = name.split(':')[0];
+        if (optional || dependency === lang || info.grammarNames.includes(dependency)) continue;
+        if (!dependencies[dependency]) dependencies[dependency] = 'latest';
+      }
+    }
+
+    delete dependencies[lang];
+    return dependencies;
+  },
+
+  /**
+   * Map grammar packages to language identifiers
+   * @param {Object} packages - Package name to version range
+   * @returns {Object} Language identifier to version range
+   * @private
+   */
+  _toLanguages(packages) {
+    return Object.fromEntries(Object.entries(packages).map(([pkg, range]) => [this.getLanguageId(pkg), range]));
+  },
+
+  /**
+   * Get the tree-sitter.json config and grammar names of a language without loading its queries
+   * @param {string} lang - Language identifier
+   * @returns {Promise<{config: Object, grammarNames: string[]}|null>} Language info or null if not found
+   */
+  async getLanguageInfo(lang) {
+    const langPath = Url.join(Api.TREE_SITTER_PATH, lang);
+    if (!(await fs(langPath).exists())) return null;
+
+    const files = await fs(langPath).lsDir();
+    const configFile = files.find(file => file.name === 'tree-sitter.json');
+    if (!configFile) throw new Error(`Missing tree-sitter.json for language ${lang}`);
+
+    const config = await fs(configFile.url).readFile('json');
+    const grammarNames = files
+      .filter(file => file.name.endsWith('.wasm'))
+      .map(file => file.name.replace(/\.wasm$/, '').replace(/^tree-sitter-/, ''));
+
+    return { config, grammarNames };
+  },
+
+  /**
+   * install a language.
+   * Files are downloaded and verified in a staging folder that only replaces
+   * the language folder once the grammar is known to load.
    * @param {string} lang - Language identifier
+   * @param {Object} options - Optional parameters
+   * @param {string} options.version - Version or dist-tag to install (default 'latest')
+   * @param {AbortSignal} options.signal - Cancels the install and removes the partial download
+   * @param {Function} options.onProgress - Called with `{ filesDone, filesTotal, bytesDone, bytesTotal, file, source }`
    * @returns {Promise<boolean>}
    */
-  async installLanguage(lang) {
+  async installLanguage(lang, options = {}) {
+    return this._exclusive(lang, async () => {
+      const langPath = Url.join(Api.TREE_SITTER_PATH, lang);
+      if (await fs(langPath).exists()) return false;
+
+      const stageDir = `.install-${lang}`;
+      try {
+        await this._stage(lang, stageDir, options);
+        await fs(Url.join(Api.TREE_SITTER_PATH, stageDir)).renameTo(lang);
+        return true;
+      } catch (error) {
+        console.error(`Error installing language ${lang}:`, error.message);
+        await this._removeIfExists(Url.join(Api.TREE_SITTER_PATH, stageDir));
+        throw error;
+      }
+    });
+  },
+
+  /**
+   * Run an install or update of a language, rejecting it while another one of the same language runs
+   * @param {string} lang - Language identifier
+   * @param {Function} task - Async install or update
+   * @returns {Promise<*>} Result of the task
+   * @throws {InstallError} If the language is already being installed or updated
+   * @private
+   */
+  async _exclusive(lang, task) {
+    if (this._installing.has(lang)) {
+      throw new InstallError('already being installed or updated', { lang });
+    }
+
+    this._installing.add(lang);
+    try {
+      return await task();
+    } finally {
+      this._installing.delete(lang);
+    }
+  },
+
+  /**
+   * Update an installed language, keeping the current version if the download fails
+   * @param {string} lang - Language identifier
+   * @param {Object} options - Optional parameters
+   * @param {string} options.version - Version or dist-tag to update to (default 'latest')
+   * @param {AbortSignal} options.signal - Cancels the update, keeping the current version
+   * @param {Function} options.onProgress - Called with the download progress, see `installLanguage`
+   * @returns {Promise<{from: string|null, to: string}|null>} Versions swapped, or null if already up to date
+   */
+  async updateLanguage(lang, options = {}) {
+    return this._exclusive(lang, async () => {
+      const langPath = Url.join(Api.TREE_SITTER_PATH, lang);
+      if (!(await fs(langPath).exists())) throw new Error(`Language ${lang} is not installed`);
+
+      const info = await this.getInstallInfo(lang);
+      const version = await this.resolveVersion(lang, options.version);
+      if (info?.version === version) return null;
+
+      const stageDir = `.update-${lang}`;
+      const stagePath = Url.join(Api.TREE_SITTER_PATH, stageDir);
+
+      try {
+        await this._stage(lang, stageDir, { ...options, version }, { pinned: info?.pinned || false });
+        await this._swap(lang, stageDir);
+
+        return { from: info?.version || null, to: version };
+      } catch (error) {
+        console.error(`Error updating language ${lang}:`, error.message);
+        await this._removeIfExists(stagePath);
+        throw error;
+      }
+    });
+  },
+
+  /**
+   * Install a language from a package archive on device storage
+   * @param {string} url - URL of a `.tgz`, `.tar.gz`, `.tar` or `.zip` archive
+   * @param {Object} options - Optional parameters
+   * @param {string} options.lang - Language identifier (default from the package name)
+   * @param {boolean} options.replace - Replace the language if it is installed
+   * @returns {Promise<string|null>} Installed language identifier, or null if it is already installed
+   */
+  async installFromArchive(url, options = {}) {
+    const buffer = await fs(url).readFile();
+    const files = await extractArchive(buffer, Url.basename(url));
+
+    // Archives usually wrap the package in a folder (`package/` for npm)
+    const config = files
+      .filter(file => Url.basename(file.path) === 'tree-sitter.json')
+      .sort((a, b) => a.path.split('/').length - b.path.split('/').length)[0];
+    if (!config) throw new Error(`No tree-sitter.json found in ${url}`);
+
+    const prefix = config.path.slice(0, -'tree-sitter.json'.length);
+    const packageFiles = files
+      .filter(file => file.path.startsWith(prefix))
+      .map(file => ({ path: file.path.slice(prefix.length), content: file.content }));
+
+    return this._installLocal(packageFiles, url, options);
+  },
+
+  /**
+   * Install a language from an unpacked package folder on device storage
+   * @param {string} url - URL of the package folder, or of a folder holding it in `package/`
+   * @param {Object} options - Optional parameters
+   * @param {string} options.lang - Language identifier (default from the package name)
+   * @param {boolean} options.replace - Replace the language if it is installed
+   * @returns {Promise<string|null>} Installed language identifier, or null if it is already installed
+   */
+  async installFromDirectory(url, options = {}) {
+    let root = url;
+    if (!(await fs(Url.join(root, 'tree-sitter.json')).exists())) {
+      root = Url.join(url, 'package');
+      if (!(await fs(Url.join(root, 'tree-sitter.json')).exists())) {
+        throw new Error(`No tree-sitter.json found in ${url}`);
+      }
+    }
+
+    const read = async (path, file) => ({ path, content: await fs(file.url).readFile() });
+    const files = [];
+
+    for (const file of await fs(root).lsDir()) {
+      if (file.isDirectory && file.name === 'queries') {
+        for (const query of await fs(file.url).lsDir()) {
+          if (!query.isDirectory) files.push(await read(`queries/${query.name}`, query));
+        }
+      } else if (!file.isDirectory && (file.name === 'package.json' || this._isPackageFile(file.name))) {
+        files.push(await read(file.name, file));
+      }
+    }
+
+    return this._installLocal(files, url, options);
+  },
+
+  /**
+   * Install a language from package files read from device storage
+   * @param {Array<{path: string, content: ArrayBuffer}>} files - Package files relative to the package root
+   * @param {string} source - Where the files come from
+   * @param {Object} options - Install options
+   * @returns {Promise<string|null>} Installed language identifier, or null if it is already installed
+   * @private
+   */
+  async _installLocal(files, source, options = {}) {
+    const parse = path => {
+      const file = files.find(file => file.path === path);
+      return file ? JSON.parse(new TextDecoder().decode(file.content)) : null;
+    };
+
+    const pkg = parse('package.json');
+    const config = parse('tree-sitter.json');
+    const lang = options.lang || (pkg?.name && this.getLanguageId(pkg.name)) || config?.grammars?.[0]?.name;
+    if (!lang) throw new Error(`Cannot determine the language of ${source}`);
+
+    return this._exclusive(lang, async () => {
+      const langPath = Url.join(Api.TREE_SITTER_PATH, lang);
+      const exists = await fs(langPath).exists();
+      if (exists && !options.replace) return null;
+
+      const info = exists ? await this.getInstallInfo(lang) : null;
+      const stageDir = `.install-${lang}`;
+      const dest = Url.join(Api.TREE_SITTER_PATH, stageDir);
+
+      try {
+        await this._removeIfExists(dest);
+        await fs(Api.TREE_SITTER_PATH).createDirectory(stageDir);
+
+        for (const file of files) {
+          if (this._isPackageFile(file.path)) {
+            await this._writePackageFile(dest, file.path, file.content);
+          }
+        }
+
+        await this._validate(lang, dest);
+        await this._writeInstallInfo(dest, {
+          package: pkg?.name || `tree-sitter-${lang}`,
+          version: pkg?.version || config?.metadata?.version || null,
+          dependencies: this._toLanguages(getPackageDependencies(null, pkg)),
+          pinned: info?.pinned || false,
+          installedAt: Date.now(),
+          source
+        });
+
+        if (exists) {
+          await this._swap(lang, stageDir);
+        } else {
+          await fs(dest).renameTo(lang);
+        }
+
+        return lang;
+      } catch (error) {
+        console.error(`Error installing language ${lang} from ${source}:`, error.message);
+        await this._removeIfExists(dest);
+        throw error instanceof InstallError ? error : new InstallError(error.message, { lang, cause: error });
+      }
+    });
+  },
+
+  /**
+   * Compare installed languages against the registry
+   * @param {string[]} langs - Languages to check (default all installed)
+   * @returns {Promise<Array<{lang: string, current: string|null, latest: string|null, pinned: boolean, hasUpdate: boolean, error?: string}>>}
+   */
+  async checkForUpdates(langs) {
+    langs = langs || (await this.getAvailableLanguages());
+
+    return Promise.all(
+      langs.map(async lang => {
+        const info = await this.getInstallInfo(lang);
+        const current = info?.version || null;
+        const pinned = info?.pinned || false;
+
+        try {
+          const latest = await this.resolveVersion(lang);
+          const hasUpdate = !current || this._compareVersions(latest, current) > 0;
+          return { lang, current, latest, pinned, hasUpdate };
+        } catch (error) {
+          return { lang, current, latest: null, pinned, hasUpdate: false, error: error.message };
+        }
+      })
+    );
+  },
+
+  /**
+   * Pin or unpin a language so bulk updates skip it
+   * @param {string} lang - Language identifier
+   * @param {boolean} pinned - Pin state
+   * @returns {Promise<boolean>}
+   */
+  async pinLanguage(lang, pinned = true) {
+    const langPath = Url.join(Api.TREE_SITTER_PATH, lang);
+    if (!(await fs(langPath).exists())) throw new Error(`Language ${lang} is not installed`);
+
+    const info = (await this.getInstallInfo(lang)) || { package: this.getPackageName(lang), version: null };
+    await this._writeInstallInfo(langPath, { ...info, pinned });
+    return true;
+  },
+
+  /**
+   * Get the install record of a language
+   * @param {string} lang - Language identifier
+   * @returns {Promise<{package: string, version: string|null, pinned: boolean, installedAt: number}|null>}
+   * Install record, or null if the language was installed without one
+   */
+  async getInstallInfo(lang) {
+    const infoPath = Url.join(Api.TREE_SITTER_PATH, lang, this.INSTALL_FILE);
+    if (!(await fs(infoPath).exists())) return null;
+
+    try {
+      return await fs(infoPath).readFile('json');
+    } catch (error) {
+      console.error(`Failed to read install record of ${lang}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Resolve a version or dist-tag to an exact version from the registry
+   * @param {string} lang - Language identifier
+   * @param {string} version - Version or dist-tag (default 'latest')
+   * @returns {Promise<string>} Exact version
+   */
+  async resolveVersion(lang, version = 'latest') {
+    const pkg = this.getPackageName(lang);
+    return this._fromSources(lang, source => source.resolveVersion(pkg, version));
+  },
+
+  /**
+   * Search the npm registry for grammar packages (`tree-sitter-<lang>` or a package of `registry.packages`)
+   * @param {string} text - Search text, empty to list popular grammars
+   * @param {Object} options - Optional parameters
+   * @param {number} options.size - Maximum number of registry results (default 100)
+   * @returns {Promise<Array<{lang: string, package: string, version: string, description: string}>>} Grammars
+   */
+  async searchPackages(text = '', options = {}) {
+    const url = new URL(Api.config.registry?.searchUrl || this.SEARCH_URL);
+    url.searchParams.set('text', `tree-sitter ${text}`.trim());
+    url.searchParams.set('size', String(options.size || 100));
+
+    const { objects = [] } = await requestJson(url.toString());
+    const overrides = Object.entries(Api.config.registry?.packages || {});
+
+    return objects
+      .map(({ package: { name, version, description = '' } }) => {
+        const lang =
+          overrides.find(([, pkg]) => pkg === name)?.[0] || name.match(/^tree-sitter-([\w-]+)$/)?.[1];
+        return lang && { lang, package: name, version, description };
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Get the size of an installed language on disk
+   * @param {string} lang - Language identifier
+   * @returns {Promise<number>} Size in bytes, 0 if not installed
+   */
+  async getLanguageSize(lang) {
+    const sizeOf = async url => {
+      let size = 0;
+      for (const entry of await fs(url).lsDir()) {
+        size += entry.isDirectory ? await sizeOf(entry.url) : (await fs(entry.url).stat()).length || 0;
+      }
+      return size;
+    };
+
     const langPath = Url.join(Api.TREE_SITTER_PATH, lang);
-    if (await fs(langPath).exists()) return false;
+    return (await fs(langPath).exists()) ? await sizeOf(langPath) : 0;
+  },
+
+  /**
+   * Get the npm package name of a language, from `registry.packages` in config.json
+   * or `tree-sitter-<lang>`
+   * @param {string} lang - Language identifier
+   * @returns {string} Package name
+   */
+  getPackageName(lang) {
+    return Api.config.registry?.packages?.[lang] || `tree-sitter-${lang}`;
+  },
+
+  /**
+   * Get the language identifier of an npm package, from `registry.packages` in config.json
+   * or the package name without scope and `tree-sitter-` prefix
+   * @param {string} pkg - Package name
+   * @returns {string} Language identifier
+   */
+  getLanguageId(pkg) {
+    const entry = Object.entries(Api.config.registry?.packages || {}).find(([, name]) => name === pkg);
+    return entry ? entry[0] : pkg.split('/').pop().replace(/^tree-sitter-/, '');
+  },
+
+  /**
+   * Get the registry sources from `registry.sources` in config.json, in the order they are tried
+   * @returns {Array<Object>} Source instances
+   */
+  getSources() {
+    const sources = Api.config.registry?.sources;
+    if (!sources?.length) return [createSource({ type: 'unpkg', name: 'unpkg', url: this.CDN_URL })];
+
+    return sources.map(config => createSource(config));
+  },
+
+  /**
+   * Run a task against each registry source in order until one succeeds
+   * @param {string} lang - Language identifier
+   * @param {Function} task - Receives a source, returns a promise
+   * @param {AbortSignal} signal - Stops trying other sources once aborted
+   * @returns {Promise<*>} Result of the first successful source
+   * @throws {Error} Error of the last source if all of them fail
+   * @private
+   */
+  async _fromSources(lang, task, signal) {
+    let lastError;
+    for (const source of this.getSources()) {
+      try {
+        return await task(source);
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        console.warn(`Registry source ${source.name} failed for ${lang}:`, error.message);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  },
+
+  /**
+   * Download, verify and validate a language in a staging folder of the TreeSitter directory,
+   * falling back to the next registry source if one fails
+   * @param {string} lang - Language identifier
+   * @param {string} dirName - Staging folder name, replaced if it exists
+   * @param {Object} options - Download options
+   * @param {string} options.version - Version or dist-tag (default 'latest')
+   * @param {AbortSignal} options.signal - Cancels the download
+   * @param {Function} options.onProgress - Download progress callback
+   * @param {Object} info - Extra install record fields
+   * @returns {Promise<{package: string, version: string, source: string}>} Installed package
+   * @throws {InstallError} If a file fails to download, verify or load from every source
+   * @throws {DOMException} The abort reason if the signal is aborted
+   * @private
+   */
+  async _stage(lang, dirName, options = {}, info = {}) {
+    const dest = Url.join(Api.TREE_SITTER_PATH, dirName);
+    const { signal } = options;
 
     try {
-      await fs(Api.TREE_SITTER_PATH).createDirectory(lang);
+      signal?.throwIfAborted();
+      return await this._fromSources(
+        lang,
+        async source => {
+          await this._removeIfExists(dest);
+          await fs(Api.TREE_SITTER_PATH).createDirectory(dirName);
+
+          const installed = await this._download(lang, source, dest, options);
+          await this._validate(lang, dest);
+          await this._writeInstallInfo(dest, {
+            ...installed,
+            pinned: false,
+            installedAt: Date.now(),
+            ...info
+          });
 
-      const filesToDownload = [
-        { pattern: 'tree-sitter.json', dest: langPath },
-        { pattern: '*.wasm', dest: langPath },
-        { pattern: 'queries/', dest: langPath }
-      ];
+          return installed;
+        },
+        signal
+      );
+    } catch (error) {
+      await this._removeIfExists(dest);
+      if (signal?.aborted) throw signal.reason;
+      throw error instanceof InstallError ? error : new InstallError(error.message, { lang, cause: error });
+    }
+  },
+
+  /**
+   * Check that a staged language has a usable tree-sitter.json and loadable grammars.
+   * Grammars are compiled but not loaded: web-tree-sitter cannot unload a module, so loading one here would leak it.
+   * @param {string} lang - Language identifier
+   * @param {string} dir - Staging folder
+   * @throws {InstallError} If a file is invalid
+   * @private
+   */
+  async _validate(lang, dir) {
+    const files = await fs(dir).lsDir();
 
-      const success = await this._download(lang, filesToDownload);
-      return success;
+    const configFile = files.find(file => file.name === 'tree-sitter.json');
+    if (!configFile) throw new InstallError('Missing file', { lang, file: 'tree-sitter.json' });
+    try {
+      const config = JSON.parse(await fs(configFile.url).readFile('utf-8'));
+      if (!Array.isArray(config.grammars)) throw new Error('No grammars declared');
     } catch (error) {
-      console.error(`Error installing language ${lang}:`, error.message);
-      // Clean up any partial downloads
-      if (await fs(langPath).exists()) {
-        await fs(langPath).delete();
+      throw new InstallError(`Invalid config: ${error.message}`, {
+        lang,
+        file: 'tree-sitter.json',
+        cause: error
+      });
+    }
+
+    const wasmFiles = files.filter(file => file.name.endsWith('.wasm'));
+    if (!wasmFiles.length) throw new InstallError('No WASM grammar in package', { lang });
+
+    for (const file of wasmFiles) {
+      try {
+        const module = await WebAssembly.compile(await fs(file.url).readFile());
+        // The function web-tree-sitter looks for when loading the grammar
+        const exports = WebAssembly.Module.exports(module).map(item => item.name);
+        if (!exports.some(name => LANGUAGE_FUNCTION.test(name) && !name.includes('external_scanner_'))) {
+          throw new Error('No language function found');
+        }
+      } catch (error) {
+        throw new InstallError(`Grammar failed to load: ${error.message}`, {
+          lang,
+          file: file.name,
+          cause: error
+        });
       }
+    }
+  },
+
+  /**
+   * Check downloaded content against the size and SRI hash from the package metadata
+   * @param {ArrayBuffer} content - Downloaded content
+   * @param {Object} file - File entry from the package metadata
+   * @throws {Error} If the content does not match
+   * @private
+   */
+  async _verify(content, file) {
+    if (typeof file.size === 'number' && content.byteLength !== file.size) {
+      throw new Error(`Size mismatch, expected ${file.size} bytes, got ${content.byteLength}`);
+    }
+    if (!file.integrity) return;
+
+    if (!window.crypto?.subtle) {
+      console.warn(`Cannot verify integrity of ${file.path}: Web Crypto unavailable`);
+      return;
+    }
+
+    const algorithms = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+    const hashes = file.integrity
+      .split(/\s+/)
+      .map(entry => entry.match(/^(sha256|sha384|sha512)-(.+)$/))
+      .filter(Boolean);
+    if (!hashes.length) return;
+
+    for (const [, algorithm, expected] of hashes) {
+      const digest = await window.crypto.subtle.digest(algorithms[algorithm], content);
+      const actual = btoa(String.fromCharCode(...new Uint8Array(digest)));
+      if (actual === expected) return;
+    }
+
+    throw new Error(`Integrity mismatch, expected ${file.integrity}`);
+  },
+
+  /**
+   * Replace an installed language with a staged one, restoring it if the swap fails
+   * @param {string} lang - Language identifier
+   * @param {string} stageDir - Staging folder name
+   * @private
+   */
+  async _swap(lang, stageDir) {
+    const langPath = Url.join(Api.TREE_SITTER_PATH, lang);
+    const backupDir = `.backup-${lang}`;
+    const backupPath = Url.join(Api.TREE_SITTER_PATH, backupDir);
+
+    await this._removeIfExists(backupPath);
+    await fs(langPath).renameTo(backupDir);
+    try {
+      await fs(Url.join(Api.TREE_SITTER_PATH, stageDir)).renameTo(lang);
+    } catch (error) {
+      await fs(backupPath).renameTo(lang);
       throw error;
     }
+    await fs(backupPath).delete();
+  },
+
+  /**
+   * Check if a package path is part of an installed language
+   * (`tree-sitter.json`, top-level `*.wasm` and `queries/`)
+   * @param {string} path - Path relative to the package root
+   * @returns {boolean}
+   * @private
+   */
+  _isPackageFile(path) {
+    return path === 'tree-sitter.json' || minimatch(path, '*.wasm') || path.startsWith('queries/');
+  },
+
+  /**
+   * Write a package file into a language folder, using the layout `getLanguage` expects
+   * @param {string} dest - Language folder
+   * @param {string} path - Path relative to the package root
+   * @param {ArrayBuffer} content - File content
+   * @private
+   */
+  async _writePackageFile(dest, path, content) {
+    let folder = dest;
+    if (path.startsWith('queries/')) {
+      folder = Url.join(dest, 'queries');
+      if (!(await fs(folder).exists())) await fs(dest).createDirectory('queries');
+    }
+
+    await fs(folder).createFile(Url.basename(path), content);
+  },
+
+  /**
+   * Delete a file or folder if it exists
+   * @param {string} path - Path to delete
+   * @private
+   */
+  async _removeIfExists(path) {
+    if (await fs(path).exists()) await fs(path).delete();
+  },
+
+  /**
+   * List the query files of a language folder
+   * @param {string} langPath - Language folder
+   * @returns {Promise<string[]>} Query names without extension, sorted
+   * @private
+   */
+  async _listQueries(langPath) {
+    const queriesPath = Url.join(langPath, 'queries');
+    if (!(await fs(queriesPath).exists())) return [];
+
+    const files = await fs(queriesPath).lsDir();
+    return files
+      .filter(file => !file.isDirectory && file.name.endsWith('.scm'))
+      .map(file => file.name.slice(0, -'.scm'.length))
+      .sort();
+  },
+
+  /**
+   * Write the install record of a language folder, with the query files it has
+   * @param {string} langPath - Language folder
+   * @param {Object} info - Install record
+   * @private
+   */
+  async _writeInstallInfo(langPath, info) {
+    const content = JSON.stringify({ ...info, queries: await this._listQueries(langPath) }, null, 2);
+    const infoPath = Url.join(langPath, this.INSTALL_FILE);
+
+    if (await fs(infoPath).exists()) {
+      await fs(infoPath).writeFile(content);
+    } else {
+      await fs(langPath).createFile(this.INSTALL_FILE, content);
+    }
+  },
+
+  /**
+   * Compare two semver versions
+   * @param {string} a - Version
+   * @param {string} b - Version
+   * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+   * @private
+   */
+  _compareVersions(a, b) {
+    const parse = version => {
+      const [core, pre] = String(version).replace(/^v/, '').split('-');
+      return { parts: core.split('.').map(n => parseInt(n, 10) || 0), pre };
+    };
+    const va = parse(a);
+    const vb = parse(b);
+
+    for (let i = 0; i < 3; i++) {
+      const diff = (va.parts[i] || 0) - (vb.parts[i] || 0);
+      if (diff) return diff;
+    }
+
+    // A release is greater than its pre-releases
+    if (va.pre === vb.pre) return 0;
+    if (!va.pre) return 1;
+    if (!vb.pre) return -1;
+    return va.pre < vb.pre ? -1 : 1;
   },
 
   /**
@@ -100,114 +826,192 @@ export default {
     try {
       await fs(langPath).delete();
       return true;
-    } catch (e) {
+    } catch (error) {
       console.error(`Error uninstalling language ${lang}:`, error.message);
       throw error;
     }
   },
 
   /**
-   * Download files and directories using global metadata and path matching
-   * @param {string} baseUrl - Base URL for the package (e.g., 'https://unpkg.com/package@version/')
-   * @param {Array<Object>} items - Array of items to download, each with pattern and dest
-   * @returns {Promise<boolean>} Paths to downloaded files/directories
+   * Download the package files of a language from a registry source,
+   * a few files at a time and retrying failed files
+   * @param {string} lang - Language identifier
+   * @param {Object} source - Registry source
+   * @param {string} dest - Destination folder
+   * @param {Object} options - Download options
+   * @param {string} options.version - Version or dist-tag (default 'latest')
+   * @param {AbortSignal} options.signal - Cancels the download
+   * @param {Function} options.onProgress - Download progress callback
+   * @returns {Promise<{package: string, version: string, source: string}>} Downloaded package
    * @private
    */
-  async _download(lang, items) {
-    try {
-      const metaUrl = `${this.buildUrl(lang)}?meta`;
-      const response = await this._fetch(metaUrl);
-      if (response.status !== 200)
-        throw new Error('failed while fetch metadata, code:', response.status);
-
-      const globalMeta = JSON.parse(response?.data);
-      if (!globalMeta || !globalMeta.files)
-        throw new Error(`Failed to get global metadata from ${baseUrl}`);
-
-      for (const item of items) {
-        let { pattern, dest } = item;
-        const isDirectory = pattern.endsWith('/');
-
-        if (isDirectory) {
-          await fs(dest).createDirectory(pattern.slice(0, -1));
-          dest = Url.join(dest, pattern);
-        }
+  async _download(lang, source, dest, options = {}) {
+    const { version = 'latest', signal, onProgress } = options;
+    const pkg = this.getPackageName(lang);
+    const resolved = await source.resolveVersion(pkg, version);
+    const listing = await source.listFiles(pkg, resolved);
+    const files = listing.filter(file => this._isPackageFile(file.path));
+    if (!files.length) throw new Error(`No grammar files in ${pkg}@${resolved} from ${source.name}`);
 
-        const matchingFiles = globalMeta.files.filter(file => {
-          const path = file.path.slice(globalMeta.prefix.length);
-          if (isDirectory) return path.startsWith(pattern);
-          return minimatch(path, pattern);
-        });
+    if (files.some(file => file.path.startsWith('queries/'))) await fs(dest).createDirectory('queries');
 
-        const baseUrl = this.buildUrl(lang, '', globalMeta.version);
-        for (const file of matchingFiles) {
-          const fileUrl = Url.join(baseUrl, file.path);
-          await this._downloadFile(fileUrl, dest);
-        }
+    const progress = {
+      filesDone: 0,
+      filesTotal: files.length,
+      bytesDone: 0,
+      bytesTotal: files.reduce((total, file) => total + (file.size || 0), 0),
+      file: null,
+      source: source.name
+    };
+    onProgress?.({ ...progress });
+
+    await this._forEachConcurrent(files, this.DOWNLOAD_CONCURRENCY, async file => {
+      signal?.throwIfAborted();
+      try {
+        const content = await this._withRetry(
+          () => this._downloadFile(source, pkg, resolved, file, signal),
+          signal
+        );
+        await this._writePackageFile(dest, file.path, content);
+
+        progress.filesDone++;
+        progress.bytesDone += content.byteLength;
+        onProgress?.({ ...progress, file: file.path });
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        throw new InstallError(error.message, { lang, file: file.path, cause: error });
       }
+    });
 
-      return true;
+    const dependencies = await this._downloadDependencies(source, pkg, resolved, listing, signal);
+    return { package: pkg, version: resolved, source: source.name, dependencies };
+  },
+
+  /**
+   * Read the grammar dependencies of a package from its package.json, which is not installed
+   * @param {Object} source - Registry source
+   * @param {string} pkg - Package name
+   * @param {string} version - Exact version
+   * @param {Array<Object>} listing - Files of the package
+   * @param {AbortSignal} signal - Cancels the download
+   * @returns {Promise<Object>} Language identifier to version range
+   * @private
+   */
+  async _downloadDependencies(source, pkg, version, listing, signal) {
+    const file = listing.find(file => file.path === 'package.json');
+    if (!file) return {};
+
+    try {
+      const content = await this._withRetry(() => this._downloadFile(source, pkg, version, file, signal), signal);
+      return this._toLanguages(getPackageDependencies(null, JSON.parse(new TextDecoder().decode(content))));
     } catch (error) {
-      console.error(`Error downloading:`, error);
-      throw error;
+      if (signal?.aborted) throw signal.reason;
+      console.warn(`Cannot read the dependencies of ${pkg}@${version}:`, error.message);
+      return {};
     }
   },
 
   /**
-   * Download a file from CDN
-   * @param {string} url - URL to download
-   * @param {string} folder - Destination folder
-   * @returns {Promise<string>} Path to downloaded file
+   * Download a file from a registry source and verify it against its listing
+   * @param {Object} source - Registry source
+   * @param {string} pkg - Package name
+   * @param {string} version - Exact version
+   * @param {Object} file - File entry from the source listing
+   * @param {AbortSignal} signal - Cancels the download
+   * @returns {Promise<ArrayBuffer>} File content
    * @private
    */
-  async _downloadFile(url, folder) {
-    const filename = Url.basename(url);
-
+  async _downloadFile(source, pkg, version, file, signal) {
+    let timer;
+    let onAbort;
     try {
-      const ext = Url.extname(filename);
-      const type = this._getFileType(ext);
       const content = await Promise.race([
-        fs(url).readFile(type),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Download timeout')), 30000))
+        source.fetchFile(pkg, version, file.path, signal),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Download timeout')), this.DOWNLOAD_TIMEOUT);
+          onAbort = () => reject(signal.reason);
+          signal?.addEventListener('abort', onAbort);
+        })
       ]);
 
-      if (content === null) throw new Error(`Empty content from ${url}`);
-
-      const filePath = Url.join(folder, filename);
-      await fs(folder).createFile(filename, content);
-      return filePath;
-    } catch (error) {
-      console.error(`Failed to download ${url}:`, error);
-      throw error;
+      if (!content) throw new Error(`Empty content from ${source.name}`);
+      await this._verify(content, file);
+      return content;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
     }
   },
 
   /**
-   * Get file type based on extension for proper reading
-   * @param {string} ext - File extension
-   * @returns {string|null} File type or null for binary
+   * Run a task, retrying with exponential backoff when it fails
+   * @param {Function} task - Returns a promise
+   * @param {AbortSignal} signal - Stops retrying once aborted
+   * @returns {Promise<*>} Result of the task
    * @private
    */
-  _getFileType(ext) {
-    switch (ext) {
-      case '.json':
-        return 'json';
-      case '.wasm':
-        return null; // Binary
-      default:
-        return 'utf-8';
+  async _withRetry(task, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await task();
+      } catch (error) {
+        if (signal?.aborted || attempt >= this.DOWNLOAD_RETRIES) throw error;
+
+        let onAbort;
+        try {
+          await new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, 500 * 2 ** attempt);
+            onAbort = () => {
+              clearTimeout(timer);
+              reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+          });
+        } finally {
+          signal?.removeEventListener('abort', onAbort);
+        }
+      }
     }
   },
 
   /**
-   * Build URL for a language resource
+   * Run a task for each item with at most `limit` tasks at a time.
+   * After a failure no new task starts, and running ones settle before the first error is thrown.
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum number of concurrent tasks
+   * @param {Function} task - Receives an item, returns a promise
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _forEachConcurrent(items, limit, task) {
+    const queue = [...items];
+    let failed = false;
+
+    const worker = async () => {
+      while (queue.length && !failed) {
+        try {
+          await task(queue.shift());
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+
+    const results = await Promise.allSettled(Array.from({ length: Math.min(limit, items.length) }, worker));
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) throw failure.reason;
+  },
+
+  /**
+   * Build the unpkg URL for a language resource
    * @param {string} lang - Language identifier
    * @param {string} path - Path to resource
    * @param {string} version - Version of language
    * @returns {string} Full URL
    */
   buildUrl(lang, path = '', version = 'latest') {
-    return Url.join(this.CDN_URL, `tree-sitter-${lang}@${version}`, path);
+    return Url.join(this.CDN_URL, `${this.getPackageName(lang)}@${version}`, path);
   },
 
   /**
@@ -227,19 +1031,11 @@ export default {
   async getAvailableLanguages() {
     try {
       const dirs = await fs(Api.TREE_SITTER_PATH).lsDir();
-      return dirs.filter(dir => dir.isDirectory).map(dir => dir.name);
+      // Dot folders hold updates in progress
+      return dirs.filter(dir => dir.isDirectory && !dir.name.startsWith('.')).map(dir => dir.name);
     } catch (error) {
       console.error('Failed to get available languages:', error);
       return [];
     }
-  },
-
-  /**
-   * fetch using http plugin because of cross issues
-   * @returns {Promise<Object>} fetch result
-   * @private
-   */
-  async _fetch(url) {
-    return new Promise((res, rej) => cordova.plugin.http.get(url, null, null, res, rej));
   }
 };
@@ -0,0 +1,308 @@
+import { Query as TSQuery } from 'web-tree-sitter';
+
+/**
+ * Error thrown when a query fails to compile
+ */
+export class QueryCompileError extends Error {
+  /**
+   * @param {string} message - Error message from tree-sitter
+   * @param {Object} details - Error location
+   * @param {string} details.file - Query file name
+   * @param {number|null} details.row - Zero-based row of the error
+   * @param {number|null} details.column - Zero-based column of the error
+   * @param {number|null} details.index - Offset of the error in the query source
+   * @param {number|null} details.kind - tree-sitter query error kind
+   * @param {Error} details.cause - Original error
+   */
+  constructor(message, { file, row = null, column = null, index = null, kind = null, cause }) {
+    const location = row === null ? file : `${file}:${row + 1}:${column + 1}`;
+    super(`${location}: ${message}`);
+    this.name = 'QueryCompileError';
+    this.file = file;
+    this.row = row;
+    this.column = column;
+    this.index = index;
+    this.kind = kind;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Predicates handled here on top of the ones built into web-tree-sitter
+ * (`eq?`, `match?`, `any-of?`, `is?`, `set!` and their `not-`/`any-` forms).
+ * Each receives the string arguments and returns a test for a captured node.
+ */
+const PREDICATES = {
+  'lua-match?': args => {
+    const regExp = luaPatternToRegExp(args[0]);
+    return node => regExp.test(node.text);
+  },
+  'contains?': args => node => args.some(value => node.text.includes(value)),
+  'has-ancestor?': args => node => {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (args.includes(parent.type)) return true;
+    }
+    return false;
+  },
+  'has-parent?': args => node => !!node.parent && args.includes(node.parent.type)
+};
+
+const LUA_CLASSES = {
+  a: 'A-Za-z',
+  c: '\\x00-\\x1f\\x7f',
+  d: '0-9',
+  g: '\\x21-\\x7e',
+  l: 'a-z',
+  p: '!-\\/:-@\\[-`{-~',
+  s: '\\s',
+  u: 'A-Z',
+  w: 'A-Za-z0-9',
+  x: '0-9A-Fa-f'
+};
+
+/**
+ * Convert a Lua pattern (used by `#lua-match?`) to a regular expression
+ * @param {string} pattern - Lua pattern
+ * @returns {RegExp} Equivalent regular expression
+ */
+export function luaPatternToRegExp(pattern) {
+  let source = '';
+  let inSet = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '%' && i + 1 < pattern.length) {
+      const next = pattern[++i];
+      const cls = LUA_CLASSES[next.toLowerCase()];
+      if (!cls) {
+        source += `\\${next}`;
+      } else if (next === next.toLowerCase()) {
+        source += inSet ? cls : `[${cls}]`;
+      } else if (!inSet) {
+        source += `[^${cls}]`;
+      } else {
+        throw new Error(`Unsupported negated class %${next} inside a set in Lua pattern '${pattern}'`);
+      }
+    } else if (inSet) {
+      if (char === ']') inSet = false;
+      source += char === '\\' ? '\\\\' : char;
+    } else if (char === '[') {
+      inSet = true;
+      source += char;
+      if (pattern[i + 1] === '^') source += pattern[++i];
+    } else if (char === '-') {
+      source += '*?';
+    } else if ('\\/{}|'.includes(char)) {
+      source += `\\${char}`;
+    } else {
+      source += char;
+    }
+  }
+
+  return new RegExp(source);
+}
+
+/**
+ * Compile a custom predicate into a function over the captures of a match
+ * @param {Object} predicate - Predicate from web-tree-sitter
+ * @returns {Function|null} Predicate function, or null if the operator is unknown
+ */
+function compilePredicate({ operator, operands }) {
+  const isNegated = operator.startsWith('not-');
+  const isAny = operator.startsWith('any-');
+  const create = PREDICATES[operator.replace(/^(not-|any-)/, '')];
+  if (!create) return null;
+
+  const [capture, ...rest] = operands;
+  if (capture?.type !== 'capture') {
+    throw new Error(`First argument of \`#${operator}\` predicate must be a capture`);
+  }
+  const test = create(rest.map(operand => operand.value ?? operand.name));
+
+  return captures => {
+    const nodes = captures.filter(c => c.name === capture.name).map(c => c.node);
+    const check = node => test(node) !== isNegated;
+    return isAny ? nodes.some(check) : nodes.every(check);
+  };
+}
+
+/**
+ * Get the zero-based row and column of an offset in a string
+ * @param {string} source - Source text
+ * @param {number} index - Offset in the source
+ * @returns {{row: number, column: number}} Position of the offset
+ */
+function indexToPosition(source, index) {
+  const lines = source.slice(0, index).split('\n');
+  return { row: lines.length - 1, column: lines[lines.length - 1].length };
+}
+
+export default class Query {
+  #query;
+  #name;
+  #source;
+  #predicates;
+  #hasPredicates;
+  #users = 0;
+  #discarded = false;
+
+  /**
+   * Compile a query for a grammar
+   * @param {Object} grammar - Loaded tree-sitter language
+   * @param {string} source - Query source
+   * @param {string} name - Query file name used in error messages
+   * @throws {QueryCompileError} If the query is invalid
+   */
+  constructor(grammar, source, name = '<inline>') {
+    this.#name = name;
+    this.#source = source;
+
+    try {
+      this.#query = new TSQuery(grammar, source);
+    } catch (error) {
+      if (error.name === 'QueryError' && typeof error.index === 'number') {
+        const { row, column } = indexToPosition(source, error.index);
+        throw new QueryCompileError(error.message, {
+          file: name,
+          row,
+          column,
+          index: error.index,
+          kind: error.kind,
+          cause: error
+        });
+      }
+      throw new QueryCompileError(error.message, { file: name, cause: error });
+    }
+
+    try {
+      this.#predicates = this.#query.predicates.map(predicates =>
+        predicates.map(compilePredicate).filter(Boolean)
+      );
+    } catch (error) {
+      this.#query.delete();
+      throw new QueryCompileError(error.message, { file: name, cause: error });
+    }
+    this.#hasPredicates = this.#predicates.some(predicates => predicates.length);
+  }
+
+  /**
+   * Get the query file name
+   */
+  get name() {
+    return this.#name;
+  }
+
+  /**
+   * Get the query source
+   */
+  get source() {
+    return this.#source;
+  }
+
+  /**
+   * Get the underlying web-tree-sitter query
+   */
+  get query() {
+    return this.#query;
+  }
+
+  /**
+   * Get the names of the captures used in the query
+   */
+  get captureNames() {
+    return this.#query.captureNames;
+  }
+
+  /**
+   * Get the number of patterns in the query
+   */
+  get patternCount() {
+    return this.#query.patternCount();
+  }
+
+  /**
+   * Get the user-defined predicates of a pattern
+   * @param {number} patternIndex - Pattern index
+   */
+  predicatesForPattern(patternIndex) {
+    return this.#query.predicatesForPattern(patternIndex);
+  }
+
+  /**
+   * Get all matches in a node, filtered by the supported predicates
+   * @param {Node} node - Node to run the query on
+   * @param {Object} options - web-tree-sitter query options
+   * @returns {Array<Object>} Matches
+   */
+  matches(node, options) {
+    const matches = this.#query.matches(node, options);
+    if (!this.#hasPredicates) return matches;
+
+    return matches.filter(match =>
+      this.#predicates[match.patternIndex].every(predicate => predicate(match.captures))
+    );
+  }
+
+  /**
+   * Get all captures in a node ordered by position, filtered by the supported predicates
+   * @param {Node} node - Node to run the query on
+   * @param {Object} options - web-tree-sitter query options
+   * @returns {Array<Object>} Captures
+   */
+  captures(node, options) {
+    if (!this.#hasPredicates) return this.#query.captures(node, options);
+
+    return this.matches(node, options)
+      .flatMap(match =>
+        match.captures.map(capture => ({
+          ...capture,
+          patternIndex: match.patternIndex,
+          setProperties: match.setProperties,
+          assertedProperties: match.assertedProperties,
+          refutedProperties: match.refutedProperties
+        }))
+      )
+      .sort((a, b) => a.node.startIndex - b.node.startIndex || a.patternIndex - b.patternIndex);
+  }
+
+  /**
+   * Check if consumers that keep the query (e.g. highlighters) are still using it
+   */
+  get isRetained() {
+    return this.#users > 0;
+  }
+
+  /**
+   * Keep the query alive until the matching `release()`, even if its language is freed meanwhile
+   * @returns {Query} This query
+   */
+  retain() {
+    this.#users++;
+    return this;
+  }
+
+  /**
+   * Stop keeping the query, deleting it if it was discarded while retained
+   */
+  release() {
+    this.#users = Math.max(this.#users - 1, 0);
+    if (!this.#users && this.#discarded) this.delete();
+  }
+
+  /**
+   * Delete the query now, or once the last consumer releases it
+   */
+  discard() {
+    if (this.#users) this.#discarded = true;
+    else this.delete();
+  }
+
+  /**
+   * Delete the query, freeing its resources
+   */
+  delete() {
+    this.#query?.delete();
+    this.#query = null;
+  }
+}
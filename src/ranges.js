@@ -0,0 +1,12 @@
+/**
+ * Convert a node, or the span from the start of a node to the end of another, to an Ace-style range
+ * @param {Node} first - Syntax node, or the first node of the span
+ * @param {Node} last - Last node of the span
+ * @returns {{start: Object, end: Object}} Range
+ */
+export function toRange(first, last = first) {
+  return {
+    start: { row: first.startPosition.row, column: first.startPosition.column },
+    end: { row: last.endPosition.row, column: last.endPosition.column }
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Capture names of locals queries, with the older unprefixed forms
+ */
+const SCOPE = /^(local\.)?scope$/;
+const DEFINITION = /^(local\.)?definition(\.|$)/;
+const REFERENCE = /^(local\.)?reference$/;
+
+export default class LocalScopes {
+  #root;
+  #scopes = [];
+  #definitions = [];
+  #references = [];
+  #entries = new Map();
+
+  /**
+   * Build the scope, definition and reference tables of a tree from a locals query
+   * (`@local.scope`, `@local.definition[.kind]`, `@local.reference`).
+   * References resolve to the closest definition with the same name in the enclosing scopes,
+   * unless a scope sets `local.scope-inherits` to false.
+   * @param {Query} query - Compiled locals query
+   * @param {Node} root - Root node of the tree
+   */
+  constructor(query, root) {
+    this.#root = root;
+
+    const captures = query.captures(root);
+    const definitionIds = new Set(
+      captures.filter(({ name }) => DEFINITION.test(name)).map(({ node }) => node.id)
+    );
+
+    const rootScope = { node: root, parent: null, inherits: true, definitions: new Map() };
+    const stack = [rootScope];
+    const references = [];
+    this.#scopes.push(rootScope);
+
+    for (const { name, node, setProperties } of captures) {
+      while (stack.length > 1 && stack[stack.length - 1].node.endIndex <= node.startIndex) stack.pop();
+      const scope = stack[stack.length - 1];
+
+      if (SCOPE.test(name)) {
+        const inherits = setProperties?.['local.scope-inherits'] !== 'false';
+        const child = { node, parent: scope, inherits, definitions: new Map() };
+        this.#scopes.push(child);
+        stack.push(child);
+      } else if (DEFINITION.test(name)) {
+        const kind = name.replace(DEFINITION, '') || null;
+        const definition = { name: node.text, kind, node, scope };
+        if (!scope.definitions.has(definition.name)) scope.definitions.set(definition.name, []);
+        scope.definitions.get(definition.name).push(definition);
+        this.#definitions.push(definition);
+        this.#entries.set(node.id, definition);
+      } else if (REFERENCE.test(name) && !definitionIds.has(node.id)) {
+        references.push({ name: node.text, node, scope });
+      }
+    }
+
+    // Resolve once all definitions are known, so later (hoisted) definitions are found too
+    for (const { name, node, scope } of references) {
+      const reference = { name, node, definition: this.#resolve(name, node, scope) };
+      this.#references.push(reference);
+      this.#entries.set(node.id, reference);
+    }
+  }
+
+  /**
+   * Get the scopes, starting with the root scope
+   * @returns {Array<{node: Node, parent: Object|null, inherits: boolean, definitions: Map}>}
+   */
+  get scopes() {
+    return this.#scopes;
+  }
+
+  /**
+   * Get all definitions
+   * @returns {Array<{name: string, kind: string|null, node: Node, scope: Object}>}
+   */
+  get definitions() {
+    return this.#definitions;
+  }
+
+  /**
+   * Get all references
+   * @returns {Array<{name: string, node: Node, definition: Object|null}>}
+   */
+  get references() {
+    return this.#references;
+  }
+
+  /**
+   * Get the definition of the definition or reference at an offset
+   * @param {number} index - Offset in the document
+   * @returns {Object|null} Definition, or null if the offset is not on a resolved identifier
+   */
+  findDefinition(index) {
+    const entry = this.#entryAt(index);
+    if (!entry) return null;
+    return 'definition' in entry ? entry.definition : entry;
+  }
+
+  /**
+   * Get the references of the definition or reference at an offset
+   * @param {number} index - Offset in the document
+   * @returns {{definition: Object, references: Object[]}|null} Definition and its references,
+   * or null if the offset is not on a resolved identifier
+   */
+  findReferences(index) {
+    const definition = this.findDefinition(index);
+    if (!definition) return null;
+
+    return {
+      definition,
+      references: this.#references.filter(reference => reference.definition === definition)
+    };
+  }
+
+  /**
+   * Get the definition or reference at an offset, also matching right after an identifier
+   * @param {number} index - Offset in the document
+   * @returns {Object|null} Entry
+   * @private
+   */
+  #entryAt(index) {
+    for (const offset of [index, index - 1]) {
+      if (offset < 0) continue;
+      const entry = this.#entries.get(this.#root.descendantForIndex(offset).id);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Find the definition a name refers to from a scope: the last one before the reference
+   * in the closest scope defining the name, or its first one if all come later
+   * @param {string} name - Referenced name
+   * @param {Node} node - Reference node
+   * @param {Object} scope - Scope of the reference
+   * @returns {Object|null} Definition
+   * @private
+   */
+  #resolve(name, node, scope) {
+    for (let current = scope; current; current = current.inherits ? current.parent : null) {
+      const definitions = current.definitions.get(name);
+      if (!definitions) continue;
+
+      const before = definitions.filter(definition => definition.node.startIndex <= node.startIndex);
+      return before[before.length - 1] || definitions[0];
+    }
+    return null;
+  }
+}
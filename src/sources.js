@@ -0,0 +1,373 @@
+const fs = acode.require('fs');
+const Url = acode.require('url');
+
+/**
+ * GET a URL with the http plugin because of cors issues
+ * @param {string} url - URL to fetch
+ * @returns {Promise<string>} Response body
+ */
+async function request(url) {
+  let response;
+  try {
+    response = await new Promise((res, rej) => cordova.plugin.http.get(url, null, null, res, rej));
+  } catch (error) {
+    throw new Error(`Request to ${url} failed, code: ${error?.status ?? 'unknown'}`);
+  }
+
+  if (response.status !== 200) throw new Error(`Request to ${url} failed, code: ${response.status}`);
+  return response.data;
+}
+
+/**
+ * GET a URL and parse the response as JSON
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} Parsed response
+ */
+export async function requestJson(url) {
+  return JSON.parse(await request(url));
+}
+
+/**
+ * Parse a version, missing or wildcard parts are null
+ * @param {string} version - Version like '1.2.3', '1.2' or '1.x'
+ * @returns {Array<number|null>} Major, minor and patch
+ */
+function parseVersion(version) {
+  const parts = version.replace(/^[=v]+/, '').split(/[-+]/)[0].split('.');
+  return [0, 1, 2].map(i => (/^\d+$/.test(parts[i]) ? Number(parts[i]) : null));
+}
+
+/**
+ * Compare two exact versions
+ * @param {Array<number>} a - Parsed version
+ * @param {Array<number>} b - Parsed version
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+/**
+ * Turn a comparator of a range into the tests a version has to pass
+ * @param {string} comparator - Comparator like '^1.2', '~1.2.3', '>=1.0.0' or '1.x'
+ * @returns {Array<Function>} Tests the comparator is made of
+ */
+function parseComparator(comparator) {
+  const [, operator, rest] = comparator.match(/^(\^|~|>=|<=|>|<|=)?(.*)$/);
+  const [major, minor, patch] = parseVersion(rest);
+  const min = [major ?? 0, minor ?? 0, patch ?? 0];
+  const cmp = version => compareVersions(version, min);
+
+  if (operator === '>=') return [v => cmp(v) >= 0];
+  if (operator === '>') return [v => cmp(v) > 0];
+  if (operator === '<') return [v => cmp(v) < 0];
+  if (operator === '<=') {
+    if (patch !== null) return [v => cmp(v) <= 0];
+    const max = minor === null ? [major + 1, 0, 0] : [major, minor + 1, 0];
+    return [v => compareVersions(v, max) < 0];
+  }
+  if (major === null) return [];
+
+  let max;
+  if (operator === '^') {
+    if (major > 0 || minor === null) max = [major + 1, 0, 0];
+    else if (minor > 0 || patch === null) max = [0, minor + 1, 0];
+    else max = [0, 0, patch + 1];
+  } else if (operator === '~' || patch === null) {
+    max = minor === null ? [major + 1, 0, 0] : [major, minor + 1, 0];
+  } else {
+    return [v => cmp(v) === 0];
+  }
+  return [v => cmp(v) >= 0, v => compareVersions(v, max) < 0];
+}
+
+/**
+ * Check whether a version satisfies a semver range
+ * @param {string} version - Exact version
+ * @param {string} range - Range like '^0.23.0', '~1.2', '>=1.0.0 <2.0.0' or '1.x || 2.x'
+ * @returns {boolean} Whether the version is in the range
+ */
+function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (parsed.includes(null) || /-/.test(version)) return false;
+
+  return range.split('||').some(set => {
+    const comparators = set.trim().replace(/(\^|~|[<>]=?|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return comparators.every(comparator => parseComparator(comparator).every(test => test(parsed)));
+  });
+}
+
+/**
+ * Source serving npm packages with the unpkg API (`<pkg>@<version>/?meta`).
+ * Also used for self-hosted mirrors exposing the same layout.
+ */
+export class UnpkgSource {
+  /**
+   * @param {Object} options - Source options
+   * @param {string} options.url - Base URL (default 'https://unpkg.com/')
+   * @param {string} options.name - Source name used in logs and install records
+   */
+  constructor(options = {}) {
+    this.url = options.url || 'https://unpkg.com/';
+    this.name = options.name || options.url || 'unpkg';
+  }
+
+  /**
+   * Build the URL of a package resource
+   * @param {string} pkg - Package name
+   * @param {string} version - Version or dist-tag
+   * @param {string} path - Path inside the package
+   * @returns {string} Full URL
+   */
+  buildUrl(pkg, version, path = '') {
+    return Url.join(this.url, `${pkg}@${version}`, path);
+  }
+
+  /**
+   * Fetch the package metadata
+   * @param {string} pkg - Package name
+   * @param {string} version - Version or dist-tag
+   * @returns {Promise<Object>} Metadata with version, prefix and files
+   */
+  async getMeta(pkg, version) {
+    const meta = await requestJson(`${this.buildUrl(pkg, version)}?meta`);
+    if (!meta?.files) throw new Error(`Invalid metadata for ${pkg}@${version} from ${this.name}`);
+    return meta;
+  }
+
+  /**
+   * Resolve a version or dist-tag to an exact version
+   * @param {string} pkg - Package name
+   * @param {string} version - Version or dist-tag
+   * @returns {Promise<string>} Exact version
+   */
+  async resolveVersion(pkg, version = 'latest') {
+    return (await this.getMeta(pkg, version)).version;
+  }
+
+  /**
+   * List the files of a package version
+   * @param {string} pkg - Package name
+   * @param {string} version - Exact version
+   * @returns {Promise<Array<{path: string, size?: number, integrity?: string}>>} Files relative to the package root
+   */
+  async listFiles(pkg, version) {
+    const meta = await this.getMeta(pkg, version);
+    const prefix = meta.prefix || '/';
+
+    return meta.files.map(file => ({
+      path: file.path.slice(prefix.length),
+      size: file.size,
+      integrity: file.integrity
+    }));
+  }
+
+  /**
+   * Fetch a package file
+   * @param {string} pkg - Package name
+   * @param {string} version - Exact version
+   * @param {string} path - Path relative to the package root
+   * @returns {Promise<ArrayBuffer>} File content
+   */
+  async fetchFile(pkg, version, path) {
+    return fs(this.buildUrl(pkg, version, path)).readFile();
+  }
+}
+
+/**
+ * Source serving npm packages from jsDelivr
+ */
+export class JsDelivrSource {
+  /**
+   * @param {Object} options - Source options
+   * @param {string} options.url - CDN base URL (default 'https://cdn.jsdelivr.net/npm/')
+   * @param {string} options.apiUrl - Data API base URL (default 'https://data.jsdelivr.com/v1/')
+   * @param {string} options.name - Source name used in logs and install records
+   */
+  constructor(options = {}) {
+    this.url = options.url || 'https://cdn.jsdelivr.net/npm/';
+    this.apiUrl = options.apiUrl || 'https://data.jsdelivr.com/v1/';
+    this.name = options.name || 'jsdelivr';
+  }
+
+  /**
+   * Resolve a version or dist-tag to an exact version
+   * @param {string} pkg - Package name
+   * @param {string} version - Version, range or dist-tag
+   * @returns {Promise<string>} Exact version
+   */
+  async resolveVersion(pkg, version = 'latest') {
+    const url = Url.join(this.apiUrl, 'packages/npm', pkg, 'resolved');
+    const { version: resolved } = await requestJson(`${url}?specifier=${encodeURIComponent(version)}`);
+    if (!resolved) throw new Error(`No version of ${pkg} matches ${version} on ${this.name}`);
+    return resolved;
+  }
+
+  /**
+   * List the files of a package version
+   * @param {string} pkg - Package name
+   * @param {string} version - Exact version
+   * @returns {Promise<Array<{path: string, size?: number, integrity?: string}>>} Files relative to the package root
+   */
+  async listFiles(pkg, version) {
+    const url = Url.join(this.apiUrl, 'packages/npm', `${pkg}@${version}`);
+    const { files } = await requestJson(`${url}?structure=flat`);
+
+    return files.map(file => ({
+      path: file.name.replace(/^\//, ''),
+      size: file.size,
+      integrity: file.hash ? `sha256-${file.hash}` : undefined
+    }));
+  }
+
+  /**
+   * Fetch a package file
+   * @param {string} pkg - Package name
+   * @param {string} version - Exact version
+   * @param {string} path - Path relative to the package root
+   * @returns {Promise<ArrayBuffer>} File content
+   */
+  async fetchFile(pkg, version, path) {
+    return fs(Url.join(this.url, `${pkg}@${version}`, path)).readFile();
+  }
+}
+
+/**
+ * Source reading grammars from GitHub: `*.wasm` from release assets and
+ * the other files from the repository at the release tag
+ */
+export class GitHubSource {
+  /**
+   * @param {Object} options - Source options
+   * @param {Object} options.repos - Package name to 'owner/repo' overrides
+   * @param {string} options.owner - Default owner for packages without override (default 'tree-sitter')
+   * @param {string} options.name - Source name used in logs and install records
+   * @param {string} options.apiUrl - GitHub API base URL (default 'https://api.github.com/')
+   * @param {string} options.rawUrl - Raw content base URL (default 'https://raw.githubusercontent.com/')
+   */
+  constructor(options = {}) {
+    this.repos = options.repos || {};
+    this.owner = options.owner || 'tree-sitter';
+    this.name = options.name || 'github';
+    this.apiUrl = options.apiUrl || 'https://api.github.com/';
+    this.rawUrl = options.rawUrl || 'https://raw.githubusercontent.com/';
+    this.releases = new Map();
+  }
+
+  /**
+   * Get the repository of a package, scoped packages map to `scope/name`
+   * @param {string} pkg - Package name
+   * @returns {string} 'owner/repo'
+   */
+  getRepo(pkg) {
+    if (this.repos[pkg]) return this.repos[pkg];
+    return pkg.startsWith('@') ? pkg.slice(1) : `${this.owner}/${pkg}`;
+  }
+
+  /**
+   * Fetch a release by version, cached per package and version
+   * @param {string} pkg - Package name
+   * @param {string} version - Version or 'latest'
+   * @returns {Promise<Object>} GitHub release
+   */
+  async getRelease(pkg, version) {
+    const key = `${pkg}@${version}`;
+    if (!this.releases.has(key)) {
+      const base = Url.join(this.apiUrl, 'repos', this.getRepo(pkg), 'releases');
+      const url = version === 'latest' ? Url.join(base, 'latest') : Url.join(base, 'tags', `v${version}`);
+      this.releases.set(key, await requestJson(url));
+    }
+    return this.releases.get(key);
+  }
+
+  /**
+   * Resolve a version, range or 'latest' to an exact version, ranges are
+   * matched against the latest 100 releases
+   * @param {string} pkg - Package name
+   * @param {string} version - Version, range or 'latest'
+   * @returns {Promise<string>} Exact version
+   */
+  async resolveVersion(pkg, version = 'latest') {
+    if (version === 'latest' || /^v?\d+\.\d+\.\d+(-[\w.]+)?$/.test(version)) {
+      const release = await this.getRelease(pkg, version.replace(/^v/, ''));
+      return release.tag_name.replace(/^v/, '');
+    }
+
+    const url = Url.join(this.apiUrl, 'repos', this.getRepo(pkg), 'releases');
+    const releases = await requestJson(`${url}?per_page=100`);
+    const match = releases
+      .filter(release => !release.draft && !release.prerelease)
+      .map(release => release.tag_name.replace(/^v/, ''))
+      .filter(tag => satisfies(tag, version))
+      .sort((a, b) => compareVersions(parseVersion(b), parseVersion(a)))[0];
+    if (!match) throw new Error(`No release of ${pkg} matches ${version}`);
+    return match;
+  }
+
+  /**
+   * List the files of a package version
+   * @param {string} pkg - Package name
+   * @param {string} version - Exact version
+   * @returns {Promise<Array<{path: string, size?: number, integrity?: string}>>} Files relative to the package root
+   */
+  async listFiles(pkg, version) {
+    const release = await this.getRelease(pkg, version);
+    const treeUrl = Url.join(this.apiUrl, 'repos', this.getRepo(pkg), 'git/trees', release.tag_name);
+    const { tree } = await requestJson(`${treeUrl}?recursive=1`);
+
+    const files = tree
+      .filter(entry => entry.type === 'blob' && !entry.path.endsWith('.wasm'))
+      .map(entry => ({ path: entry.path, size: entry.size }));
+    const assets = release.assets
+      .filter(asset => asset.name.endsWith('.wasm'))
+      .map(asset => ({ path: asset.name, size: asset.size }));
+
+    return [...files, ...assets];
+  }
+
+  /**
+   * Fetch a package file
+   * @param {string} pkg - Package name
+   * @param {string} version - Exact version
+   * @param {string} path - Path relative to the package root
+   * @returns {Promise<ArrayBuffer>} File content
+   */
+  async fetchFile(pkg, version, path) {
+    const release = await this.getRelease(pkg, version);
+    const asset = release.assets.find(asset => asset.name === path);
+    const url = asset
+      ? asset.browser_download_url
+      : Url.join(this.rawUrl, this.getRepo(pkg), release.tag_name, path);
+
+    return fs(url).readFile();
+  }
+}
+
+const SOURCE_TYPES = {
+  unpkg: UnpkgSource,
+  mirror: UnpkgSource,
+  jsdelivr: JsDelivrSource,
+  github: GitHubSource
+};
+
+/**
+ * Register a source type so it can be used from `registry.sources` in config.json.
+ * A source implements `resolveVersion(pkg, version)`, `listFiles(pkg, version)`
+ * and `fetchFile(pkg, version, path)`.
+ * @param {string} type - Source type
+ * @param {Function} SourceClass - Class constructed with the source options
+ */
+export function registerSourceType(type, SourceClass) {
+  SOURCE_TYPES[type] = SourceClass;
+}
+
+/**
+ * Create a source from its configuration
+ * @param {Object} config - Source configuration with `type` and type specific options
+ * @returns {Object} Source instance
+ */
+export function createSource(config) {
+  const SourceClass = SOURCE_TYPES[config.type];
+  if (!SourceClass) throw new Error(`Unknown registry source type: ${config.type}`);
+  return new SourceClass(config);
+}
@@ -0,0 +1,196 @@
+import { toRange } from './ranges.js';
+
+/**
+ * `$name` placeholders of code templates and replacements
+ */
+const PLACEHOLDER = /\$([A-Za-z_]\w*)/g;
+
+/**
+ * `$name` placeholders and `$$` escapes of replacements
+ */
+const REPLACEMENT_PLACEHOLDER = /\$\$|\$([A-Za-z_]\w*)/g;
+
+/**
+ * Identifier standing in for a placeholder while a template is parsed
+ */
+const PLACEHOLDER_PREFIX = '__ts_';
+
+/**
+ * Guess if a search pattern is a query rather than a code template:
+ * it starts with a pattern and has a capture
+ * @param {string} pattern - Search pattern
+ * @returns {boolean} True for a query
+ */
+export function isQuerySource(pattern) {
+  return /^\s*[([]/.test(pattern) && /@[\w.-]+/.test(pattern);
+}
+
+/**
+ * Compile a code template into a query. `$name` placeholders match any named node, captured
+ * as `@name` (repeated placeholders must match the same text), other leaves match their text
+ * and the whole template is captured as `@match`.
+ * @param {Parser} parser - Parser of the template language
+ * @param {string} template - Code template, e.g. `console.log($msg)`
+ * @returns {string} Query source
+ * @throws {Error} If the template does not parse into a single node
+ */
+export function templateToQuery(parser, template) {
+  const code = template.replace(PLACEHOLDER, (_, name) => `${PLACEHOLDER_PREFIX}${name}`);
+  const tree = parser.parse(code);
+
+  try {
+    const root = tree.rootNode;
+    if (root.hasError) throw new Error('The template has syntax errors');
+
+    // Innermost node spanning the whole template, e.g. the call of an expression statement
+    const start = code.search(/\S/);
+    const end = code.trimEnd().length;
+    let node = root;
+    for (;;) {
+      const children = node.namedChildren.filter(child => !child.isExtra);
+      if (children.length !== 1) break;
+      if (node !== root && (children[0].startIndex > start || children[0].endIndex < end)) break;
+      node = children[0];
+    }
+    if (node === root) throw new Error('The template must be a single expression or statement');
+
+    const predicates = [];
+    const seen = new Map();
+    let leaves = 0;
+
+    const toPattern = current => {
+      const name = current.text.startsWith(PLACEHOLDER_PREFIX) && current.text.slice(PLACEHOLDER_PREFIX.length);
+      if (name && /^\w+$/.test(name)) {
+        const count = (seen.get(name) || 0) + 1;
+        seen.set(name, count);
+        if (count === 1) return `(_) @${name}`;
+        predicates.push(`(#eq? @${name} @_${name}_${count})`);
+        return `(_) @_${name}_${count}`;
+      }
+
+      if (!current.namedChildCount) {
+        const capture = `@_${++leaves}`;
+        predicates.push(`(#eq? ${capture} ${JSON.stringify(current.text)})`);
+        return `(${current.type}) ${capture}`;
+      }
+
+      // Named children are anchored, so `f($x)` does not match calls with more arguments
+      const children = [];
+      for (let i = 0; i < current.childCount; i++) {
+        const child = current.child(i);
+        if (child.isExtra) continue;
+
+        const field = current.fieldNameForChild(i);
+        const prefix = field ? `${field}: ` : '';
+        if (child.isNamed) children.push({ named: true, pattern: `${prefix}${toPattern(child)}` });
+        else if (field) children.push({ named: false, pattern: `${prefix}${JSON.stringify(child.type)}` });
+      }
+
+      const parts = [];
+      children.forEach(({ named, pattern }, i) => {
+        if (named && (i === 0 || children[i - 1].named)) parts.push('.');
+        parts.push(pattern);
+      });
+      if (children[children.length - 1]?.named) parts.push('.');
+      return `(${current.type} ${parts.join(' ')})`;
+    };
+
+    const pattern = toPattern(node);
+    return `(${pattern} @match ${predicates.join(' ')})`;
+  } finally {
+    tree.delete();
+  }
+}
+
+/**
+ * Find the non-overlapping matches of a query, outer matches first.
+ * A match covers its `@match` capture, or all its captures without one.
+ * @param {Query} query - Compiled query
+ * @param {Node} root - Root node to search
+ * @param {string} text - Text of the tree
+ * @param {Object} options - Optional parameters
+ * @param {string} options.replacement - Replacement template, expanded for each match
+ * and checked beforehand with `validateReplacement()`
+ * @returns {Array<Object>} `{ startIndex, endIndex, range, text, captures, replacement }` matches
+ * in document order, where `captures` maps names (without the `_`-prefixed ones) to `{ text, range }`
+ */
+export function findMatches(query, root, text, options = {}) {
+  const matches = [];
+
+  for (const match of query.matches(root)) {
+    const nodes = {};
+    for (const { name, node } of match.captures) {
+      if (!(name in nodes)) nodes[name] = node;
+    }
+
+    const covered = nodes.match ? [nodes.match] : Object.values(nodes);
+    if (!covered.length) continue;
+    const first = covered.reduce((a, b) => (b.startIndex < a.startIndex ? b : a));
+    const last = covered.reduce((a, b) => (b.endIndex > a.endIndex ? b : a));
+
+    const captures = {};
+    for (const [name, node] of Object.entries(nodes)) {
+      if (!name.startsWith('_')) captures[name] = { text: node.text, range: toRange(node) };
+    }
+
+    matches.push({
+      startIndex: first.startIndex,
+      endIndex: last.endIndex,
+      range: toRange(first, last),
+      text: text.slice(first.startIndex, last.endIndex),
+      captures
+    });
+  }
+
+  matches.sort((a, b) => a.startIndex - b.startIndex || b.endIndex - a.endIndex);
+  const result = [];
+  for (const match of matches) {
+    const previous = result[result.length - 1];
+    if (previous && match.startIndex < previous.endIndex) continue;
+    if (options.replacement !== undefined) {
+      match.replacement = expandReplacement(options.replacement, match.captures);
+    }
+    result.push(match);
+  }
+  return result;
+}
+
+/**
+ * Check that a replacement template only references captures of the query
+ * @param {string} template - Replacement template, e.g. `logger.debug($msg)`
+ * @param {string[]} captureNames - Capture names of the query
+ * @throws {Error} If the template references an unknown capture
+ */
+export function validateReplacement(template, captureNames) {
+  for (const [placeholder, name] of template.matchAll(REPLACEMENT_PLACEHOLDER)) {
+    if (name && (name.startsWith('_') || !captureNames.includes(name))) {
+      throw new Error(`Unknown capture ${placeholder} in the replacement`);
+    }
+  }
+}
+
+/**
+ * Expand a replacement template: `$name` is replaced by the text of the capture, `$$` by `$`.
+ * Captures missing from the match, e.g. optional ones, expand to nothing.
+ * @param {string} template - Replacement template, e.g. `logger.debug($msg)`
+ * @param {Object} captures - Capture name to `{ text }`
+ * @returns {string} Replacement text
+ */
+export function expandReplacement(template, captures) {
+  return template.replace(REPLACEMENT_PLACEHOLDER, (_, name) => (name ? captures[name]?.text ?? '' : '$'));
+}
+
+/**
+ * Apply the replacements of matches to a text
+ * @param {string} text - Text the matches were found in
+ * @param {Array<Object>} matches - Matches with a `replacement`
+ * @returns {string} Replaced text
+ */
+export function applyReplacements(text, matches) {
+  const sorted = [...matches].sort((a, b) => b.startIndex - a.startIndex);
+  let result = text;
+  for (const { startIndex, endIndex, replacement } of sorted) {
+    result = result.slice(0, startIndex) + replacement + result.slice(endIndex);
+  }
+  return result;
+}
@@ -0,0 +1,128 @@
+import { toRange } from './ranges.js';
+
+/**
+ * Collect the definitions captured by a tags query
+ * (`@definition.<kind>` with a `@name`, and optional adjacent `@doc` comments)
+ * @param {Query} query - Compiled tags query
+ * @param {Node} node - Node to search, usually the root node
+ * @returns {Array<Object>} Flat symbols `{ name, kind, range, selectionRange, doc, children }`
+ */
+export function collectSymbols(query, node) {
+  const symbols = [];
+  const seen = new Set();
+
+  for (const match of query.matches(node)) {
+    const definition = match.captures.find(({ name }) => name.startsWith('definition.'));
+    const name = match.captures.find(capture => capture.name === 'name');
+    if (!definition || !name) continue;
+
+    const kind = definition.name.slice('definition.'.length);
+    const key = `${definition.node.id}:${kind}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    symbols.push({
+      name: name.node.text,
+      kind,
+      range: toRange(definition.node),
+      selectionRange: toRange(name.node),
+      doc: getDoc(query, match, definition.node),
+      children: []
+    });
+  }
+
+  return symbols;
+}
+
+/**
+ * Nest symbols by range containment, keeping document order
+ * @param {Array<Object>} symbols - Flat symbols
+ * @returns {Array<Object>} Top-level symbols
+ */
+export function nestSymbols(symbols) {
+  const sorted = [...symbols].sort(
+    (a, b) => compare(a.range.start, b.range.start) || compare(b.range.end, a.range.end)
+  );
+  const roots = [];
+  const stack = [];
+
+  for (const symbol of sorted) {
+    while (stack.length && compare(stack[stack.length - 1].range.end, symbol.range.end) < 0) stack.pop();
+    (stack.length ? stack[stack.length - 1].children : roots).push(symbol);
+    stack.push(symbol);
+  }
+
+  return roots;
+}
+
+/**
+ * Scope kinds guessed from node types, from the most to the least specific
+ */
+const SCOPE_KINDS = [
+  [/namespace|module|package/, 'namespace'],
+  [/interface|trait|protocol/, 'interface'],
+  [/class/, 'class'],
+  [/struct|record/, 'struct'],
+  [/enum/, 'enum'],
+  [/impl/, 'implementation'],
+  [/method/, 'method'],
+  [/function|procedure|subroutine/, 'function']
+];
+
+/**
+ * Guess if a node is a named scope from its type and its `name` field, used when a language has no tags query
+ * @param {Node} node - Syntax node
+ * @returns {Object|null} `{ name, kind, range, selectionRange }`, or null if the node is not a named scope
+ */
+export function getNodeScope(node) {
+  const kind = SCOPE_KINDS.find(([pattern]) => pattern.test(node.type))?.[1];
+  const name = kind && node.childForFieldName('name');
+  if (!name) return null;
+
+  return { name: name.text, kind, range: toRange(node), selectionRange: toRange(name) };
+}
+
+/**
+ * Get the documentation of a definition from `@doc` captures, applying the
+ * `#select-adjacent!` and `#strip!` directives of the pattern
+ * @param {Query} query - Tags query
+ * @param {Object} match - Query match
+ * @param {Node} definition - Definition node
+ * @returns {string|null} Documentation text
+ */
+function getDoc(query, match, definition) {
+  let docs = match.captures.filter(({ name }) => name === 'doc').map(({ node }) => node);
+  if (!docs.length) return null;
+
+  const directives = query.predicatesForPattern(match.patternIndex);
+  if (directives.some(({ operator }) => operator === 'select-adjacent!')) {
+    // Keep the comments chained right above the definition
+    const adjacent = [];
+    let next = definition;
+    for (const doc of [...docs].sort((a, b) => b.startIndex - a.startIndex)) {
+      if (doc.endIndex > next.startIndex || next.startPosition.row - doc.endPosition.row > 1) break;
+      adjacent.unshift(doc);
+      next = doc;
+    }
+    docs = adjacent;
+  }
+  if (!docs.length) return null;
+
+  const strip = directives.find(({ operator, operands }) => operator === 'strip!' && operands[1]);
+  const regExp = strip ? new RegExp(strip.operands[1].value, 'gm') : null;
+
+  return docs
+    .map(doc => (regExp ? doc.text.replace(regExp, '') : doc.text))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Compare two positions
+ * @param {{row: number, column: number}} a - Position
+ * @param {{row: number, column: number}} b - Position
+ * @returns {number} Negative if a is before b, positive if after, 0 if equal
+ */
+function compare(a, b) {
+  return a.row - b.row || a.column - b.column;
+}
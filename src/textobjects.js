@@ -0,0 +1,97 @@
+import { toRange } from './ranges.js';
+
+/**
+ * Collect the text objects captured by a textobjects query: each capture (e.g. `@function.outer`)
+ * spans its nodes in the match, and `#make-range!` directives span from one capture to another
+ * @param {Query} query - Compiled textobjects query
+ * @param {Node} root - Root node of the tree
+ * @param {string} name - Only collect this capture name, e.g. `function.outer`
+ * @returns {Array<Object>} `{ name, startIndex, endIndex, range, parentId }` objects in document order,
+ * where `parentId` is the node id of the parent of the first node, identifying siblings
+ */
+export function collectTextObjects(query, root, name) {
+  const objects = [];
+  const seen = new Set();
+
+  const add = nodes => {
+    const first = nodes.reduce((a, b) => (b.startIndex < a.startIndex ? b : a));
+    const last = nodes.reduce((a, b) => (b.endIndex > a.endIndex ? b : a));
+    const key = `${first.startIndex}:${last.endIndex}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    objects.push({
+      name,
+      startIndex: first.startIndex,
+      endIndex: last.endIndex,
+      range: toRange(first, last),
+      parentId: first.parent?.id ?? null
+    });
+  };
+
+  for (const match of query.matches(root)) {
+    const nodes = match.captures.filter(capture => capture.name === name).map(capture => capture.node);
+    if (nodes.length) add(nodes);
+
+    // e.g. (#make-range! "parameter.outer" @parameter.inner @_end)
+    for (const { operator, operands } of query.predicatesForPattern(match.patternIndex)) {
+      if (operator !== 'make-range!' || operands[0]?.value !== name) continue;
+
+      const ends = operands.slice(1, 3).map(operand =>
+        match.captures.filter(capture => capture.name === operand.name).map(capture => capture.node)
+      );
+      if (ends.every(end => end.length)) add(ends.flat());
+    }
+  }
+
+  return objects.sort((a, b) => a.startIndex - b.startIndex || b.endIndex - a.endIndex);
+}
+
+/**
+ * Get the smallest text object enclosing a span. A text object equal to the span is skipped,
+ * so selecting again grows the selection to the enclosing object.
+ * @param {Array<Object>} objects - Text objects
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {Object|null} Text object
+ */
+export function getEnclosingObject(objects, start, end) {
+  let result = null;
+  for (const object of objects) {
+    if (object.startIndex > start || object.endIndex < end) continue;
+    if (object.startIndex === start && object.endIndex === end) continue;
+    if (!result || object.endIndex - object.startIndex < result.endIndex - result.startIndex) result = object;
+  }
+  return result;
+}
+
+/**
+ * Get the next text object starting after an offset, or the previous one starting before it
+ * @param {Array<Object>} objects - Text objects in document order
+ * @param {number} index - Offset, usually the cursor
+ * @param {string} direction - `next` or `previous`
+ * @returns {Object|null} Text object
+ */
+export function getNextObject(objects, index, direction) {
+  if (direction === 'previous') {
+    const previous = objects.filter(object => object.startIndex < index);
+    return previous[previous.length - 1] || null;
+  }
+  return objects.find(object => object.startIndex > index) || null;
+}
+
+/**
+ * Get the text object adjacent to another one with the same parent, e.g. the next argument of a call
+ * @param {Array<Object>} objects - Text objects in document order
+ * @param {Object} object - Text object
+ * @param {string} direction - `next` or `previous`
+ * @returns {Object|null} Text object
+ */
+export function getAdjacentObject(objects, object, direction) {
+  const siblings = objects.filter(other => {
+    if (other.parentId !== object.parentId) return false;
+    return direction === 'previous' ? other.endIndex <= object.startIndex : other.startIndex >= object.endIndex;
+  });
+  if (direction === 'previous') return siblings[siblings.length - 1] || null;
+  return siblings[0] || null;
+}
@@ -0,0 +1,242 @@
+/**
+ * Syntax tree held by the parse worker. Every operation is a request to the worker,
+ * nodes are plain objects without text (use `startIndex`/`endIndex` on the parsed text).
+ */
+export class RemoteTree {
+  #worker;
+  #id;
+  #lang;
+  #rootNode;
+  #hasError;
+
+  /**
+   * @param {ParseWorker} worker - Worker holding the tree
+   * @param {number} id - Tree id in the worker
+   * @param {string} lang - Language identifier
+   * @param {{rootNode: Object, hasError: boolean}} summary - Serialized tree
+   */
+  constructor(worker, id, lang, { rootNode, hasError }) {
+    this.#worker = worker;
+    this.#id = id;
+    this.#lang = lang;
+    this.#rootNode = rootNode;
+    this.#hasError = hasError;
+  }
+
+  /**
+   * Get the tree id in the worker
+   */
+  get id() {
+    return this.#id;
+  }
+
+  /**
+   * Get language identifier
+   */
+  get lang() {
+    return this.#lang;
+  }
+
+  /**
+   * Get the serialized root node of the last parse
+   */
+  get rootNode() {
+    return this.#rootNode;
+  }
+
+  /**
+   * Check if the last parse contains `ERROR` or `MISSING` nodes
+   */
+  get hasError() {
+    return this.#hasError;
+  }
+
+  /**
+   * Apply edits and reparse incrementally
+   * @param {Object|Array<Object>} edits - tree-sitter edits, e.g. from `TreeDocument.deltaToEdit`
+   * @param {string} text - Text after the edits
+   * @returns {Promise<Array<Object>>} Changed ranges
+   */
+  async edit(edits, text) {
+    const result = await this.#worker.request('edit', {
+      id: this.#id,
+      edits: Array.isArray(edits) ? edits : [edits],
+      text
+    });
+    this.#rootNode = result.rootNode;
+    this.#hasError = result.hasError;
+    return result.changedRanges;
+  }
+
+  /**
+   * Run a query and get its captures in document order
+   * @param {string} source - Query source
+   * @param {Object} options - Optional parameters
+   * @param {string} options.name - Query file name used in error messages
+   * @param {number} options.startIndex - Only capture from this offset
+   * @param {number} options.endIndex - Only capture up to this offset
+   * @returns {Promise<Array<Object>>} `{ name, node, patternIndex, setProperties }` captures
+   */
+  async captures(source, options = {}) {
+    return await this.#query('captures', source, options);
+  }
+
+  /**
+   * Run a query and get its matches
+   * @param {string} source - Query source
+   * @param {Object} options - Same as `captures()`
+   * @returns {Promise<Array<Object>>} `{ patternIndex, captures, setProperties, assertedProperties }` matches
+   */
+  async matches(source, options = {}) {
+    return await this.#query('matches', source, options);
+  }
+
+  /**
+   * Free the tree in the worker
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    await this.#worker.request('deleteTree', { id: this.#id });
+  }
+
+  /**
+   * Send a query request
+   * @param {string} type - `captures` or `matches`
+   * @param {string} source - Query source
+   * @param {Object} options - Query options
+   * @returns {Promise<Array<Object>>} Results
+   * @private
+   */
+  async #query(type, source, { name = '<inline>', ...options }) {
+    return await this.#worker.request('query', { id: this.#id, source, name, type, options });
+  }
+}
+
+export default class ParseWorker {
+  #worker;
+  #ready;
+  #requests = new Map();
+  #languages = new Map();
+  #nextRequestId = 0;
+  #nextTreeId = 0;
+
+  /**
+   * Start a parse worker, which loads tree-sitter and the grammars itself
+   * @param {string} scriptUrl - URL of the bundled worker script
+   * @param {string} wasmUrl - URL of tree-sitter.wasm
+   */
+  constructor(scriptUrl, wasmUrl) {
+    this.#worker = new Worker(scriptUrl);
+    this.#worker.onmessage = ({ data }) => this.#handleMessage(data);
+    this.#worker.onerror = event => {
+      event.preventDefault?.();
+      this.#rejectAll(new Error(`Parse worker error: ${event.message}`));
+    };
+    this.#ready = this.#send('init', { wasmUrl });
+    // Reported by the requests waiting for it
+    this.#ready.catch(() => {});
+  }
+
+  /**
+   * Load a grammar in the worker once
+   * @param {string} lang - Language identifier
+   * @param {string} wasmUrl - URL of the grammar wasm, fetched by the worker
+   * @returns {Promise<void>}
+   */
+  async loadLanguage(lang, wasmUrl) {
+    if (!this.#languages.has(lang)) {
+      const promise = this.request('loadLanguage', { lang, wasmUrl });
+      promise.catch(() => this.#languages.delete(lang));
+      this.#languages.set(lang, promise);
+    }
+    return this.#languages.get(lang);
+  }
+
+  /**
+   * Forget a grammar in the worker, e.g. after it was updated or uninstalled
+   * @param {string} lang - Language identifier, or package identifier to forget all its grammars
+   */
+  unloadLanguage(lang) {
+    for (const id of [...this.#languages.keys()]) {
+      if (id !== lang && id.split(':')[0] !== lang) continue;
+      this.#languages.delete(id);
+      this.request('unloadLanguage', { lang: id }).catch(() => {});
+    }
+  }
+
+  /**
+   * Parse a text in the worker
+   * @param {string} lang - Language identifier, loaded with `loadLanguage()`
+   * @param {string} text - Text to parse
+   * @param {Object} options - Optional parameters
+   * @param {Array<Object>} options.includedRanges - Only parse these ranges
+   * @returns {Promise<RemoteTree>} Tree held by the worker
+   */
+  async parse(lang, text, options = {}) {
+    const id = ++this.#nextTreeId;
+    const summary = await this.request('parse', { id, lang, text, includedRanges: options.includedRanges });
+    return new RemoteTree(this, id, lang, summary);
+  }
+
+  /**
+   * Send a request once the worker is initialized
+   * @param {string} type - Request type
+   * @param {Object} payload - Request data, must be serialisable
+   * @returns {Promise<*>} Result
+   */
+  async request(type, payload) {
+    await this.#ready;
+    return await this.#send(type, payload);
+  }
+
+  /**
+   * Stop the worker and reject pending requests
+   */
+  terminate() {
+    this.#worker?.terminate();
+    this.#worker = null;
+    this.#languages.clear();
+    this.#rejectAll(new Error('Parse worker terminated'));
+  }
+
+  /**
+   * Post a request to the worker
+   * @param {string} type - Request type
+   * @param {Object} payload - Request data
+   * @returns {Promise<*>} Result
+   * @private
+   */
+  #send(type, payload) {
+    if (!this.#worker) return Promise.reject(new Error('Parse worker terminated'));
+
+    const requestId = ++this.#nextRequestId;
+    return new Promise((resolve, reject) => {
+      this.#requests.set(requestId, { resolve, reject });
+      this.#worker.postMessage({ requestId, type, payload });
+    });
+  }
+
+  /**
+   * Settle the request a worker message answers
+   * @param {Object} data - `{ requestId, result }` or `{ requestId, error }`
+   * @private
+   */
+  #handleMessage({ requestId, result, error }) {
+    const request = this.#requests.get(requestId);
+    if (!request) return;
+    this.#requests.delete(requestId);
+
+    if (error) request.reject(Object.assign(new Error(error.message), error));
+    else request.resolve(result);
+  }
+
+  /**
+   * Reject all pending requests
+   * @param {Error} error - Rejection reason
+   * @private
+   */
+  #rejectAll(error) {
+    for (const { reject } of this.#requests.values()) reject(error);
+    this.#requests.clear();
+  }
+}
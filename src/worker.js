@@ -0,0 +1,187 @@
+/**
+ * Entry point of the parse worker, bundled to `worker.js` next to `main.js`.
+ * Requests are `{ requestId, type, payload }` messages answered with
+ * `{ requestId, result }` or `{ requestId, error }`. Trees stay in the worker,
+ * only serialisable nodes, ranges and captures are sent back.
+ */
+import { Parser, Language } from 'web-tree-sitter';
+import Query from './query.js';
+
+const languages = new Map();
+const trees = new Map();
+
+const handlers = {
+  /**
+   * Initialize tree-sitter
+   * @param {{wasmUrl: string}} payload - URL of tree-sitter.wasm
+   */
+  async init({ wasmUrl }) {
+    await Parser.init({ locateFile: () => wasmUrl });
+  },
+
+  /**
+   * Load a grammar and create its parser
+   * @param {{lang: string, wasmUrl: string}} payload - Language identifier and grammar URL
+   */
+  async loadLanguage({ lang, wasmUrl }) {
+    if (languages.has(lang)) return;
+
+    const grammar = await Language.load(wasmUrl);
+    const parser = new Parser();
+    parser.setLanguage(grammar);
+    languages.set(lang, { grammar, parser, queries: new Map() });
+  },
+
+  /**
+   * Forget a grammar, trees already parsed with it stay usable
+   * @param {{lang: string}} payload - Language identifier
+   */
+  unloadLanguage({ lang }) {
+    const entry = languages.get(lang);
+    if (!entry) return;
+
+    for (const query of entry.queries.values()) query.delete();
+    entry.parser.delete();
+    languages.delete(lang);
+  },
+
+  /**
+   * Parse a text into a new tree, replacing the tree with the same id
+   * @param {{id: number, lang: string, text: string, includedRanges: Array}} payload - Tree id and text
+   */
+  parse({ id, lang, text, includedRanges }) {
+    const tree = getLanguage(lang).parser.parse(text, null, includedRanges && { includedRanges });
+    trees.get(id)?.tree.delete();
+    trees.set(id, { tree, lang });
+    return serializeTree(tree);
+  },
+
+  /**
+   * Apply edits to a tree and reparse it incrementally
+   * @param {{id: number, edits: Array<Object>, text: string}} payload - Tree id, tree-sitter edits and new text
+   */
+  edit({ id, edits, text }) {
+    const entry = getTree(id);
+    for (const edit of edits) entry.tree.edit(edit);
+
+    const tree = getLanguage(entry.lang).parser.parse(text, entry.tree);
+    const changedRanges = entry.tree.getChangedRanges(tree).map(serializeRange);
+    entry.tree.delete();
+    entry.tree = tree;
+    return { ...serializeTree(tree), changedRanges };
+  },
+
+  /**
+   * Run a query on a tree
+   * @param {{id: number, source: string, name: string, type: string, options: Object}} payload - Tree id,
+   * query source, `captures` or `matches`, and web-tree-sitter query options
+   */
+  query({ id, source, name, type, options }) {
+    const { tree, lang } = getTree(id);
+    const { queries, grammar } = getLanguage(lang);
+    if (!queries.has(source)) queries.set(source, new Query(grammar, source, name));
+
+    const query = queries.get(source);
+    if (type === 'matches') {
+      return query.matches(tree.rootNode, options).map(match => ({
+        patternIndex: match.patternIndex,
+        captures: match.captures.map(serializeCapture),
+        setProperties: match.setProperties,
+        assertedProperties: match.assertedProperties
+      }));
+    }
+    return query.captures(tree.rootNode, options).map(capture => ({
+      ...serializeCapture(capture),
+      patternIndex: capture.patternIndex,
+      setProperties: capture.setProperties
+    }));
+  },
+
+  /**
+   * Free a tree
+   * @param {{id: number}} payload - Tree id
+   */
+  deleteTree({ id }) {
+    trees.get(id)?.tree.delete();
+    trees.delete(id);
+  }
+};
+
+self.onmessage = async ({ data: { requestId, type, payload } }) => {
+  try {
+    if (!handlers[type]) throw new Error(`Unknown parse worker request: ${type}`);
+    const result = await handlers[type](payload);
+    self.postMessage({ requestId, result });
+  } catch (error) {
+    const { name, message, file, row, column, index, kind } = error;
+    self.postMessage({ requestId, error: { name, message, file, row, column, index, kind } });
+  }
+};
+
+/**
+ * Get a loaded language
+ * @param {string} lang - Language identifier
+ * @returns {Object} Grammar, parser and compiled queries
+ */
+function getLanguage(lang) {
+  const entry = languages.get(lang);
+  if (!entry) throw new Error(`Language ${lang} is not loaded in the parse worker`);
+  return entry;
+}
+
+/**
+ * Get a parsed tree
+ * @param {number} id - Tree id
+ * @returns {{tree: Tree, lang: string}} Tree and its language
+ */
+function getTree(id) {
+  const entry = trees.get(id);
+  if (!entry) throw new Error(`Tree ${id} does not exist in the parse worker`);
+  return entry;
+}
+
+/**
+ * Serialize a tree summary
+ * @param {Tree} tree - Syntax tree
+ * @returns {{rootNode: Object, hasError: boolean}}
+ */
+function serializeTree(tree) {
+  return { rootNode: serializeNode(tree.rootNode), hasError: tree.rootNode.hasError };
+}
+
+/**
+ * Serialize a capture
+ * @param {{name: string, node: Node}} capture - Query capture
+ * @returns {{name: string, node: Object}}
+ */
+function serializeCapture({ name, node }) {
+  return { name, node: serializeNode(node) };
+}
+
+/**
+ * Serialize a node without its text, which the sender already has
+ * @param {Node} node - Syntax node
+ * @returns {Object} `{ id, type, isNamed, startIndex, endIndex, startPosition, endPosition }`
+ */
+function serializeNode(node) {
+  return {
+    id: node.id,
+    type: node.type,
+    isNamed: node.isNamed,
+    ...serializeRange(node)
+  };
+}
+
+/**
+ * Serialize a range
+ * @param {Object} range - Node or range
+ * @returns {{startIndex: number, endIndex: number, startPosition: Object, endPosition: Object}}
+ */
+function serializeRange({ startIndex, endIndex, startPosition, endPosition }) {
+  return {
+    startIndex,
+    endIndex,
+    startPosition: { row: startPosition.row, column: startPosition.column },
+    endPosition: { row: endPosition.row, column: endPosition.column }
+  };
+}